@@ -0,0 +1,429 @@
+// Conflict-free replicated types for shared state keys, mirrors utils/crdt.ts on the server
+class CrdtError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CrdtError";
+  }
+}
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// Ids are Lamport timestamps: [counter, replica]
+const compareIds = (a, b) => {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+};
+
+const isId = (value) =>
+  Array.isArray(value) &&
+  value.length === 2 &&
+  Number.isInteger(value[0]) &&
+  value[0] > 0 &&
+  typeof value[1] === "string";
+
+const deepEqual = (a, b) => window.ReactExpress.jsonPatch.deepEqual(a, b);
+
+class Crdt {
+  constructor(replica) {
+    this.replica = replica;
+    // Set by the owner to apply and distribute local edits; without it they apply directly
+    this.publish = null;
+  }
+
+  assign(value) {
+    return this.emit(this.assignOps(value));
+  }
+
+  emit(ops) {
+    if (!ops.length) return ops;
+    if (this.publish) {
+      this.publish(ops);
+    } else {
+      ops.forEach((op) => this.apply(op));
+    }
+    return ops;
+  }
+}
+
+const isTotal = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+const sum = (totals) => Object.values(totals).reduce((a, b) => a + b, 0);
+
+// PN-counter: each replica only grows its own totals, so increments never get lost
+class CounterCrdt extends Crdt {
+  constructor(replica, state) {
+    super(replica);
+    this.type = "counter";
+    this.p = state ? { ...state.p } : {};
+    this.n = state ? { ...state.n } : {};
+  }
+
+  value() {
+    return sum(this.p) - sum(this.n);
+  }
+
+  state() {
+    return { p: { ...this.p }, n: { ...this.n } };
+  }
+
+  apply(op) {
+    if (!op || typeof op.replica !== "string" || !isTotal(op.p) || !isTotal(op.n)) {
+      throw new CrdtError("Invalid counter operation");
+    }
+    let changed = false;
+    if (op.p > (this.p[op.replica] || 0)) {
+      this.p[op.replica] = op.p;
+      changed = true;
+    }
+    if (op.n > (this.n[op.replica] || 0)) {
+      this.n[op.replica] = op.n;
+      changed = true;
+    }
+    return changed;
+  }
+
+  increment(by = 1) {
+    return this.emit(this.incrementOps(by));
+  }
+
+  decrement(by = 1) {
+    return this.emit(this.incrementOps(-by));
+  }
+
+  assignOps(value) {
+    return this.incrementOps(Number(value) - this.value());
+  }
+
+  incrementOps(by) {
+    if (!Number.isFinite(by)) throw new CrdtError("A shared counter only holds numbers");
+    if (!by) return [];
+    const p = this.p[this.replica] || 0;
+    const n = this.n[this.replica] || 0;
+    return [{ replica: this.replica, p: by > 0 ? p + by : p, n: by < 0 ? n - by : n }];
+  }
+}
+
+// Last-writer-wins map: each field keeps the write with the highest timestamp
+class LwwMapCrdt extends Crdt {
+  constructor(replica, state) {
+    super(replica);
+    this.type = "map";
+    this.entries = new Map(state ? Object.entries(state.entries) : []);
+    this.clock = state ? state.clock : 0;
+  }
+
+  // Keys in sorted order, so every replica renders the same
+  value() {
+    const result = {};
+    Array.from(this.entries.keys()).sort().forEach((key) => {
+      const entry = this.entries.get(key);
+      if (!entry.deleted) result[key] = entry.value;
+    });
+    return result;
+  }
+
+  state() {
+    return { entries: Object.fromEntries(this.entries), clock: this.clock };
+  }
+
+  apply(op) {
+    if (!op || typeof op.key !== "string" || !isId(op.ts)) throw new CrdtError("Invalid map operation");
+    this.clock = Math.max(this.clock, op.ts[0]);
+    const current = this.entries.get(op.key);
+    if (current && compareIds(op.ts, current.ts) <= 0) return false;
+    this.entries.set(op.key, op.deleted ? { deleted: true, ts: op.ts } : { value: op.value, ts: op.ts });
+    return true;
+  }
+
+  set(key, value) {
+    return this.emit([{ key, value, ts: this.nextId() }]);
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    return this.emit(entry && !entry.deleted ? [{ key, deleted: true, ts: this.nextId() }] : []);
+  }
+
+  assignOps(value) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new CrdtError("A shared map only holds objects");
+    }
+    const current = this.value();
+    const ops = [];
+    Object.keys(current).forEach((key) => {
+      if (!hasOwn(value, key)) ops.push({ key, deleted: true, ts: this.nextId() });
+    });
+    Object.entries(value).forEach(([key, next]) => {
+      if (!hasOwn(current, key) || !deepEqual(current[key], next)) {
+        ops.push({ key, value: next, ts: this.nextId() });
+      }
+    });
+    return ops;
+  }
+
+  nextId() {
+    return [++this.clock, this.replica];
+  }
+}
+
+// Replicated growable array (RGA); removed items stay as tombstones
+class SequenceCrdt extends Crdt {
+  constructor(replica, state) {
+    super(replica);
+    this.items = state ? state.items.map((item) => ({ ...item })) : [];
+    this.clock = state ? state.clock : 0;
+  }
+
+  visible() {
+    return this.items.filter((item) => !item.deleted);
+  }
+
+  state() {
+    return { items: this.items.map((item) => ({ ...item })), clock: this.clock };
+  }
+
+  apply(op) {
+    if (op && op.op === "insert") return this.integrate(op);
+    if (op && op.op === "remove") return this.tombstone(op.ids);
+    throw new CrdtError(`Invalid ${this.type} operation`);
+  }
+
+  indexOf(id) {
+    return this.items.findIndex((item) => item.id[0] === id[0] && item.id[1] === id[1]);
+  }
+
+  integrate({ id, after, values }) {
+    if (!isId(id) || (after !== null && !isId(after)) || !Array.isArray(values) || !this.accepts(values)) {
+      throw new CrdtError(`Invalid ${this.type} operation`);
+    }
+    if (after !== null && this.indexOf(after) < 0) {
+      throw new CrdtError("Insert refers to an unknown item");
+    }
+    let changed = false;
+    let previous = after;
+    values.forEach((value, offset) => {
+      const itemId = [id[0] + offset, id[1]];
+      this.clock = Math.max(this.clock, itemId[0]);
+      if (this.indexOf(itemId) < 0) {
+        let index = previous === null ? 0 : this.indexOf(previous) + 1;
+        // Concurrent inserts at the same spot: the newer one goes first
+        while (index < this.items.length && compareIds(this.items[index].id, itemId) > 0) index++;
+        this.items.splice(index, 0, { id: itemId, value });
+        changed = true;
+      }
+      previous = itemId;
+    });
+    return changed;
+  }
+
+  tombstone(ids) {
+    if (!Array.isArray(ids) || !ids.every(isId)) throw new CrdtError(`Invalid ${this.type} operation`);
+    let changed = false;
+    ids.forEach((id) => {
+      const index = this.indexOf(id);
+      if (index >= 0 && !this.items[index].deleted) {
+        this.items[index] = { id, deleted: true };
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  insertOps(index, values) {
+    const visible = this.visible();
+    if (!Number.isInteger(index) || index < 0 || index > visible.length) {
+      throw new CrdtError(`Index out of range: ${index}`);
+    }
+    if (!values.length) return [];
+    const id = [this.clock + 1, this.replica];
+    this.clock += values.length;
+    return [{ op: "insert", id, after: index ? visible[index - 1].id : null, values }];
+  }
+
+  removeOps(index, count) {
+    const visible = this.visible();
+    if (!Number.isInteger(index) || index < 0 || index > visible.length) {
+      throw new CrdtError(`Index out of range: ${index}`);
+    }
+    const ids = visible.slice(index, index + count).map((item) => item.id);
+    return ids.length ? [{ op: "remove", ids }] : [];
+  }
+
+  // Replace the changed middle of the sequence, keeping the common head and tail
+  spliceOps(current, next, same) {
+    let start = 0;
+    while (start < current.length && start < next.length && same(current[start], next[start])) start++;
+    let end = 0;
+    while (
+      end < current.length - start &&
+      end < next.length - start &&
+      same(current[current.length - 1 - end], next[next.length - 1 - end])
+    ) end++;
+    return [
+      ...this.removeOps(start, current.length - start - end),
+      ...this.insertOps(start, next.slice(start, next.length - end)),
+    ];
+  }
+}
+
+// Ordered list; items are replaced as a whole
+class ListCrdt extends SequenceCrdt {
+  constructor(replica, state) {
+    super(replica, state);
+    this.type = "list";
+  }
+
+  value() {
+    return this.visible().map((item) => item.value);
+  }
+
+  insert(index, ...values) {
+    return this.emit(this.insertOps(index, values));
+  }
+
+  push(...values) {
+    return this.insert(this.visible().length, ...values);
+  }
+
+  remove(index, count = 1) {
+    return this.emit(this.removeOps(index, count));
+  }
+
+  assignOps(value) {
+    if (!Array.isArray(value)) throw new CrdtError("A shared list only holds arrays");
+    return this.spliceOps(this.value(), value, deepEqual);
+  }
+
+  accepts() {
+    return true;
+  }
+}
+
+// Collaborative text, one item per character
+class TextCrdt extends SequenceCrdt {
+  constructor(replica, state) {
+    super(replica, state);
+    this.type = "text";
+  }
+
+  value() {
+    return this.visible().map((item) => item.value).join("");
+  }
+
+  insert(index, text) {
+    return this.emit(this.insertOps(index, Array.from(String(text))));
+  }
+
+  delete(index, length = 1) {
+    return this.emit(this.removeOps(index, length));
+  }
+
+  assignOps(value) {
+    if (typeof value !== "string") throw new CrdtError("Shared text only holds strings");
+    return this.spliceOps(Array.from(this.value()), Array.from(value), (a, b) => a === b);
+  }
+
+  accepts(values) {
+    return values.every((value) => typeof value === "string");
+  }
+}
+
+const createCrdt = (type, replica, state) => {
+  switch (type) {
+    case "counter":
+      return new CounterCrdt(replica, state);
+    case "map":
+      return new LwwMapCrdt(replica, state);
+    case "list":
+      return new ListCrdt(replica, state);
+    case "text":
+      return new TextCrdt(replica, state);
+    default:
+      throw new CrdtError(`Unknown shared state type: ${type}`);
+  }
+};
+
+// Local replicas of the shared keys the server declared
+class SharedKeys {
+  constructor() {
+    this.entries = new Map();
+    this.handles = new Map();
+    this.replica = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    // Set by the state module to send local operations to the server
+    this.send = null;
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.crdt : undefined;
+  }
+
+  // Replace a replica with the server's state, then re-apply local ops the server has not seen.
+  // `key` is where the value lives on the page, `name` the key the server knows it by.
+  load(key, { type, state }, scope, pendingOps = [], name = key) {
+    const previous = this.entries.get(key);
+    const crdt = createCrdt(type, this.replica, state);
+    pendingOps.forEach((op) => {
+      try {
+        crdt.apply(op);
+      } catch (err) {
+        console.warn(`Dropped a pending "${key}" edit:`, err);
+      }
+    });
+    crdt.publish = (ops) => this.publishLocal(key, ops);
+    this.entries.set(key, { crdt, name, scope: scope || (previous && previous.scope) });
+    return crdt.value();
+  }
+
+  // Merge operations from the server; returns the new value, or undefined if nothing changed
+  apply(key, ops) {
+    const crdt = this.get(key);
+    if (!crdt || !Array.isArray(ops)) return undefined;
+    const changed = ops.filter((op) => crdt.apply(op)).length > 0;
+    return changed ? crdt.value() : undefined;
+  }
+
+  publishLocal(key, ops) {
+    const entry = this.entries.get(key);
+    ops.forEach((op) => entry.crdt.apply(op));
+    window.ReactExpress.components._setBindingValues({ [key]: entry.crdt.value() });
+    if (this.send) this.send(entry.name, entry.scope, ops);
+  }
+
+  // Stable handle returned by hooks.useState; looks up the replica on every call
+  handle(key) {
+    if (!this.handles.has(key)) {
+      const registry = this;
+      const call = (method) => (...args) => {
+        const crdt = registry.get(key);
+        if (!crdt) throw new CrdtError(`"${key}" is not a shared key (yet)`);
+        if (typeof crdt[method] !== "function") {
+          throw new CrdtError(`A shared ${crdt.type} has no ${method}()`);
+        }
+        return crdt[method](...args);
+      };
+      this.handles.set(key, {
+        get type() {
+          const crdt = registry.get(key);
+          return crdt ? crdt.type : null;
+        },
+        increment: call("increment"),
+        decrement: call("decrement"),
+        set: call("set"),
+        delete: call("delete"),
+        insert: call("insert"),
+        push: call("push"),
+        remove: call("remove"),
+        assign: call("assign"),
+      });
+    }
+    return this.handles.get(key);
+  }
+}
+
+window.ReactExpress = window.ReactExpress || {};
+window.ReactExpress.crdt = new SharedKeys();
+window.ReactExpress.CrdtError = CrdtError;
@@ -36,6 +36,7 @@ class ErrorBoundary {
 
       render: (state, el) => {
         if (state.error) {
+          if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(el);
           el.innerHTML = this.fallback(state.error);
         } else if (options.render) {
           try {
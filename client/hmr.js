@@ -6,8 +6,8 @@ class HotModuleReplacement {
   }
 
   /**
-   * Initialize HMR with a socket connection
-   * @param {Socket} socket - Socket.io connection
+   * Initialize HMR with a server connection
+   * @param {Object} socket - Socket.IO socket or SSE connection from ReactExpress.connect()
    */
   init(socket) {
     this.socket = socket;
@@ -43,8 +43,9 @@ class HotModuleReplacement {
    * @private
    */
   async processUpdate() {
+    const basePath = (window.ReactExpress && window.ReactExpress.basePath) || "/__react-express";
     const response = await fetch(
-      `/__react-express/placeholder${window.location.pathname}`,
+      `${basePath}/placeholder${window.location.pathname}`,
       { headers: { "X-HMR-Request": "true" } }
     );
     const html = await response.text();
@@ -172,7 +173,8 @@ class HotModuleReplacement {
       document.head.appendChild(clonedStyle);
     });
 
-    // Replace entire body content
+    // Replace entire body content, unmounting what the VDOM rendered there first
+    if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(document.body);
     document.body.innerHTML = newDoc.body.innerHTML;
   }
 
@@ -3,14 +3,16 @@ class ComponentManager {
   constructor() {
     this.components = new Map();
     this.eventBus = new EventTarget();
-    this.memoizedValues = new Map();
     this.refs = new Map();
-    this.callbacks = new Map();
     this.stateBindings = new Map();
+    // createComponent instance whose render is running, for hooks to find their slots
+    this.currentComponent = null;
+    this.warned = new Set(); // hooks already warned about being called outside a component
   }
 
   // Create a stateful component with automatic DOM updates
   createComponent(element, options = {}) {
+    const manager = this;
     const id = element.id || `component-${Math.random().toString(36).slice(2)}`;
     element.id = id;
 
@@ -19,6 +21,10 @@ class ComponentManager {
       element,
       state: options.initialState || {},
       handlers: new Map(),
+      // Hook slots in call order, and effects waiting for the render to finish
+      hooks: [],
+      hookIndex: 0,
+      effects: [],
       
       // Update state and trigger re-render
       setState(updates) {
@@ -66,8 +72,18 @@ class ComponentManager {
 
       // Custom render function
       render() {
-        if (options.render) {
-          options.render(this.state, this.element);
+        if (options.render && !this.unmounted) {
+          const previous = manager.currentComponent;
+          manager.currentComponent = this;
+          this.hookIndex = 0;
+          try {
+            options.render(this.state, this.element);
+          } finally {
+            manager.currentComponent = previous;
+          }
+          const effects = this.effects;
+          this.effects = [];
+          effects.forEach((effect) => effect());
         }
         // Dispatch update event for HMR
         this.element.dispatchEvent(new CustomEvent('component:updated', {
@@ -89,32 +105,20 @@ class ComponentManager {
 
   // Hooks Implementation
   hooks = {
-    useState: (key, initialValue) => {
-      // Initialize state if not exists
-      if (!this.stateBindings.has(key)) {
-        this.stateBindings.set(key, {
-          value: initialValue,
-          prev: undefined,
-          elements: new Set(),
-          formatters: new Map()
-        });
-
-        // Initial DOM scan for elements
-        this._scanForStateBindings(key);
+    // useState(key, initialValue) is the global state under `key`. Inside a component,
+    // useState(initialValue), with one argument of any type, is state local to that
+    // instance; useGlobalState reads a global key there without an initial value.
+    useState: (...args) => {
+      if (args.length < 2 && this._inComponent()) return this._useInstanceState(args[0]);
+      if (typeof args[0] !== 'string') {
+        this._warnOutsideComponent('useState', 'its first argument is read as a state key');
       }
-
-      const binding = this.stateBindings.get(key);
-
-      const getState = () => binding.value;
-
-      const setState = (newValue) => {
-        const value = typeof newValue === 'function' ? newValue(binding.value) : newValue;
-        this._setBindingValue(key, value);
-      };
-
-      return [getState, setState];
+      return this._useGlobalState(args[0], args[1]);
     },
 
+    // The global state under `key`, inside a component or not
+    useGlobalState: (key, initialValue) => this._useGlobalState(key, initialValue),
+
     // Enhanced bindState with automatic formatting
     bindState: (key, element, formatter) => {
       if (!this.stateBindings.has(key)) {
@@ -147,14 +151,26 @@ class ComponentManager {
       };
     },
 
-    useEffect: (callback, dependencies = []) => {
+    // In a component the effect runs after the render that changed one of its dependencies
+    // (every render without a dependency list), and when a state key among them changes.
+    // Outside one, dependencies are state keys.
+    useEffect: (callback, dependencies) => {
+      if (this._inComponent()) {
+        this._useInstanceEffect(callback, dependencies);
+        return undefined;
+      }
+      const keys = dependencies || [];
+      if (keys.some(dep => typeof dep !== 'string')) {
+        this._warnOutsideComponent('useEffect', 'its dependencies are read as state keys');
+      }
+
       let cleanup = null;
       const handler = () => {
         if (cleanup) cleanup();
         cleanup = callback();
       };
 
-      dependencies.forEach(dep => {
+      keys.forEach(dep => {
         this.eventBus.addEventListener(dep, handler);
       });
 
@@ -163,28 +179,34 @@ class ComponentManager {
 
       return () => {
         if (cleanup) cleanup();
-        dependencies.forEach(dep => {
+        keys.forEach(dep => {
           this.eventBus.removeEventListener(dep, handler);
         });
       };
     },
 
-    useMemo: (factory, dependencies = []) => {
-      const key = dependencies.join('|');
-      if (!this.memoizedValues.has(key)) {
-        this.memoizedValues.set(key, factory());
+    useMemo: (factory, dependencies) => {
+      if (!this._inComponent()) {
+        this._warnOutsideComponent('useMemo', 'the value is computed on every call');
+        return factory();
       }
-
-      dependencies.forEach(dep => {
-        this.eventBus.addEventListener(dep, () => {
-          this.memoizedValues.set(key, factory());
-        });
-      });
-
-      return this.memoizedValues.get(key);
+      const slot = this._hookSlot(() => ({ ready: false, deps: undefined, value: undefined }));
+      if (!slot.ready || this._depsChanged(slot.deps, dependencies)) {
+        slot.value = factory();
+        slot.deps = dependencies;
+        slot.ready = true;
+      }
+      return slot.value;
     },
 
-    useRef: (elementId) => {
+    // In a component, useRef(initialValue) is the same { current } object on every render.
+    // useRef(elementId), with a string, points at that element, in a component or not.
+    useRef: (elementIdOrValue) => {
+      if (typeof elementIdOrValue !== 'string') {
+        if (this._inComponent()) return this._hookSlot(() => ({ current: elementIdOrValue }));
+        this._warnOutsideComponent('useRef', 'its argument is read as an element id');
+      }
+      const elementId = elementIdOrValue;
       if (!this.refs.has(elementId)) {
         this.refs.set(elementId, {
           current: document.getElementById(elementId)
@@ -193,26 +215,37 @@ class ComponentManager {
       return this.refs.get(elementId);
     },
 
-    useCallback: (callback, dependencies = [], delay = 0) => {
-      const key = dependencies.join('|');
-      
-      if (!this.callbacks.has(key)) {
-        if (delay > 0) {
-          let timeoutId;
-          const debouncedCallback = (...args) => {
-            clearTimeout(timeoutId);
-            timeoutId = setTimeout(() => callback(...args), delay);
-          };
-          this.callbacks.set(key, debouncedCallback);
-        } else {
-          this.callbacks.set(key, callback);
+    useCallback: (callback, dependencies, delay = 0) => {
+      if (!this._inComponent()) {
+        this._warnOutsideComponent('useCallback', 'a new function is returned on every call');
+        return delay > 0 ? this._debounce(callback, delay, {}) : callback;
+      }
+      const slot = this._hookSlot(() => ({
+        ready: false,
+        deps: undefined,
+        callback: null,
+        timer: {},
+        unmount() {
+          clearTimeout(this.timer.id);
         }
+      }));
+      if (!slot.ready || this._depsChanged(slot.deps, dependencies)) {
+        slot.callback = delay > 0 ? this._debounce(callback, delay, slot.timer) : callback;
+        slot.deps = dependencies;
+        slot.ready = true;
       }
-
-      return this.callbacks.get(key);
+      return slot.callback;
     },
 
-    useReducer: (key, reducer, initialState) => {
+    // useReducer(key, reducer, initialState) keeps its state under `key`. Inside a component,
+    // useReducer(reducer, initialState) is state local to that instance.
+    useReducer: (...args) => {
+      if (typeof args[0] === 'function') {
+        if (this._inComponent()) return this._useInstanceReducer(args[0], args[1]);
+        this._warnOutsideComponent('useReducer', 'its first argument is read as a state key');
+      }
+
+      const [key, reducer, initialState] = args;
       if (!this.stateBindings.has(key)) {
         this.stateBindings.set(key, {
           value: initialState,
@@ -234,6 +267,168 @@ class ComponentManager {
   };
 
   // Private helper methods
+
+  // Whether a VDOM function component or a createComponent render is running
+  _inComponent() {
+    const vdom = window.ReactExpress && window.ReactExpress.vdom;
+    return !!((vdom && vdom.currentInstance) || this.currentComponent);
+  }
+
+  // The running component's next hook slot, made by `init(update)` on its first render,
+  // where `update` renders that component again. Slots are matched up by call order.
+  _hookSlot(init) {
+    const vdom = window.ReactExpress && window.ReactExpress.vdom;
+    if (vdom && vdom.currentInstance) {
+      return vdom.hookSlot((instance) => init(() => vdom.invalidate(instance)));
+    }
+    const component = this.currentComponent;
+    const index = component.hookIndex++;
+    if (!(index in component.hooks)) {
+      component.hooks[index] = init(() => component.render());
+    }
+    return component.hooks[index];
+  }
+
+  // Run `effect` once the running component's render is finished
+  _queueEffect(effect) {
+    const vdom = window.ReactExpress && window.ReactExpress.vdom;
+    if (vdom && vdom.currentInstance) vdom.queueEffect(effect);
+    else this.currentComponent.effects.push(effect);
+  }
+
+  // Without a dependency list, every render counts as a change
+  _depsChanged(previous, next) {
+    if (!previous || !next || previous.length !== next.length) return true;
+    return next.some((dep, i) => !Object.is(dep, previous[i]));
+  }
+
+  _warnOutsideComponent(hook, consequence) {
+    if (this.warned.has(hook)) return;
+    this.warned.add(hook);
+    console.warn(`ReactExpress.hooks.${hook} was called outside a component; ${consequence}.`);
+  }
+
+  _debounce(callback, delay, timer) {
+    return (...args) => {
+      clearTimeout(timer.id);
+      timer.id = setTimeout(() => callback(...args), delay);
+    };
+  }
+
+  _useInstanceState(initialValue) {
+    const slot = this._hookSlot((update) => {
+      const state = {
+        value: typeof initialValue === 'function' ? initialValue() : initialValue,
+        get: () => state.value,
+        set: (newValue) => {
+          const value = typeof newValue === 'function' ? newValue(state.value) : newValue;
+          if (Object.is(value, state.value)) return;
+          state.value = value;
+          update();
+        }
+      };
+      return state;
+    });
+    return [slot.get, slot.set];
+  }
+
+  _useInstanceReducer(reducer, initialState) {
+    const slot = this._hookSlot((update) => {
+      const state = {
+        value: initialState,
+        reducer,
+        get: () => state.value,
+        dispatch: (action) => {
+          const value = state.reducer(state.value, action);
+          if (Object.is(value, state.value)) return;
+          state.value = value;
+          update();
+        }
+      };
+      return state;
+    });
+    // The latest reducer, so it can close over the latest props
+    slot.reducer = reducer;
+    return [slot.get, slot.dispatch];
+  }
+
+  _useInstanceEffect(callback, dependencies) {
+    const manager = this;
+    const slot = this._hookSlot(() => {
+      const effect = {
+        ready: false,
+        deps: undefined,
+        callback: null,
+        cleanup: null,
+        unmounted: false,
+        keys: [], // state keys among the dependencies, subscribed to on the eventBus
+        run() {
+          if (this.unmounted) return;
+          this.runCleanup();
+          const cleanup = this.callback();
+          this.cleanup = typeof cleanup === 'function' ? cleanup : null;
+        },
+        runCleanup() {
+          const cleanup = this.cleanup;
+          this.cleanup = null;
+          if (cleanup) cleanup();
+        },
+        subscribe(keys) {
+          if (keys.join('\n') === this.keys.join('\n')) return;
+          this.keys.forEach((key) => manager.eventBus.removeEventListener(key, this.rerun));
+          this.keys = keys;
+          keys.forEach((key) => manager.eventBus.addEventListener(key, this.rerun));
+        },
+        unmount() {
+          this.unmounted = true;
+          this.subscribe([]);
+          this.runCleanup();
+        }
+      };
+      // One function per effect, so a render that queues it twice still runs it once
+      effect.rerun = () => effect.run();
+      return effect;
+    });
+    // The latest callback, so a state key change runs it with the latest props
+    slot.callback = callback;
+    // A string naming a state key also reruns the effect when that key changes, as it does
+    // outside a component; a createComponent render does not rerun on its own then
+    slot.subscribe((dependencies || []).filter(dep => typeof dep === 'string' && this.stateBindings.has(dep)));
+    if (slot.ready && !this._depsChanged(slot.deps, dependencies)) return;
+    slot.deps = dependencies;
+    slot.ready = true;
+    this._queueEffect(slot.rerun);
+  }
+
+  // The global state under `key`, whether or not a component is rendering
+  _useGlobalState(key, initialValue) {
+    // Initialize state if not exists
+    if (!this.stateBindings.has(key)) {
+      this.stateBindings.set(key, {
+        value: initialValue,
+        prev: undefined,
+        elements: new Set(),
+        formatters: new Map()
+      });
+
+      // Initial DOM scan for elements
+      this._scanForStateBindings(key);
+    }
+
+    const binding = this.stateBindings.get(key);
+
+    const getState = () => binding.value;
+
+    const setState = (newValue) => {
+      const value = typeof newValue === 'function' ? newValue(binding.value) : newValue;
+      this._commitValue(key, value);
+    };
+
+    // Third entry: edit methods for keys the server shares as CRDTs (increment, push, insert...)
+    const registry = window.ReactExpress && window.ReactExpress.crdt;
+    return [getState, setState, registry ? registry.handle(key) : undefined];
+  }
+
   _scanForStateBindings(key) {
     document.querySelectorAll(`[data-react-state="${key}"]`).forEach(element => {
       const binding = this.stateBindings.get(key);
@@ -257,15 +452,15 @@ class ComponentManager {
                 const isGroup = checkboxes.length > 1 || (element.hasAttribute('value'));
                 if (isGroup) {
                   const values = checkboxes.filter(cb => cb.checked).map(cb => cb.value);
-                  this._setBindingValue(key, values);
+                  this._commitValue(key, values);
                 } else {
-                  this._setBindingValue(key, element.checked);
+                  this._commitValue(key, element.checked);
                 }
               } else if (type === 'radio') {
                 const selected = document.querySelector(`input[type="radio"][data-react-state="${key}"]:checked`);
-                this._setBindingValue(key, selected ? selected.value : null);
+                this._commitValue(key, selected ? selected.value : null);
               } else {
-                this._setBindingValue(key, element.value);
+                this._commitValue(key, element.value);
               }
             };
             const eventName = (type === 'checkbox' || type === 'radio' || element.tagName === 'SELECT') ? 'change' : 'input';
@@ -280,6 +475,15 @@ class ComponentManager {
   _updateBoundElements(key) {
     const binding = this.stateBindings.get(key);
     binding.elements.forEach(element => {
+      // Once taken out of the page (a router swap, a re-rendered parent) the element is
+      // unbound and whatever the VDOM rendered into it unmounted, rather than kept rendering
+      if (element.__reactExpressConnected && !element.isConnected) {
+        binding.elements.delete(element);
+        binding.formatters.delete(element);
+        if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(element);
+        return;
+      }
+      if (element.isConnected) element.__reactExpressConnected = true;
       const formatter = binding.formatters.get(element);
       this._updateElement(element, binding.value, formatter);
     });
@@ -313,7 +517,7 @@ class ComponentManager {
             } else if (displayValue.type && displayValue.props) {
               vnode = displayValue; // assume a vnode from createElement
             } else if (Array.isArray(displayValue)) {
-              vnode = vdom.createElement('div', {}, ...displayValue);
+              vnode = displayValue; // becomes the element's children, reconciled by `key`
             } else {
               vnode = String(displayValue);
             }
@@ -344,6 +548,33 @@ class ComponentManager {
     this.eventBus.dispatchEvent(new CustomEvent(key, { detail: { value, previous: prev } }));
   }
 
+  // Local writes: shared keys become CRDT operations (which also sync them), others are set directly
+  _commitValue(key, value) {
+    const registry = window.ReactExpress && window.ReactExpress.crdt;
+    const shared = registry && registry.get(key);
+    if (shared) {
+      shared.assign(value);
+    } else {
+      this._setBindingValue(key, value);
+    }
+  }
+
+  // Write every key before rendering or notifying, so listeners never see half a batch
+  _setBindingValues(updates) {
+    const entries = Object.entries(updates);
+    entries.forEach(([key, value]) => {
+      if (!this.stateBindings.has(key)) this._useGlobalState(key, undefined);
+      const binding = this.stateBindings.get(key);
+      binding.prev = binding.value;
+      binding.value = value;
+    });
+    entries.forEach(([key, value]) => {
+      this._updateBoundElements(key);
+      const previous = this.stateBindings.get(key).prev;
+      this.eventBus.dispatchEvent(new CustomEvent(key, { detail: { value, previous } }));
+    });
+  }
+
   _resolveFormatter(formatter) {
     try {
       if (typeof formatter === 'function') return formatter;
@@ -379,6 +610,10 @@ class ComponentManager {
     const component = this.getComponent(elementOrId);
     if (component) {
       component.cleanup();
+      component.unmounted = true;
+      component.hooks.forEach((slot) => {
+        if (slot && typeof slot.unmount === 'function') slot.unmount();
+      });
       this.components.delete(component.id);
     }
   }
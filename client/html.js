@@ -0,0 +1,214 @@
+// Tagged templates that build VDOM nodes without a JSX build step:
+//
+//   html`<ul class="todos">${items.map((item) => html`<li key=${item.id} onClick=${() => toggle(item)}>${item.text}</li>`)}</ul>`
+//   html`<${Counter} start=${1} ...${props}>children<//>`
+
+// Elements that never have children, so they close without a slash
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "param", "source", "track", "wbr",
+]);
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0" };
+
+// Parser states
+const TEXT = 0;
+const TAG = 1; // reading the tag name after "<"
+const ATTRS = 2; // between attributes
+const ATTR_NAME = 3;
+const VALUE = 4; // after "=", unquoted
+const QUOTED = 5;
+const CLOSE = 6; // inside "</...>"
+const COMMENT = 7;
+
+class HtmlTemplates {
+  constructor() {
+    // Each call site passes the same frozen strings array every time, so it is parsed once
+    this.cache = new WeakMap(); // strings -> compiled nodes
+  }
+
+  render(strings, values) {
+    let nodes = this.cache.get(strings);
+    if (!nodes) {
+      nodes = this.compile(strings);
+      this.cache.set(strings, nodes);
+    }
+    const built = this._build(nodes, values);
+    return built.length === 1 ? built[0] : built;
+  }
+
+  // Parse the static parts into nodes that refer to values by index: text is a string,
+  // an interpolated child { slot }, an element { tag, props, children } where tag is a
+  // name or { slot } and each prop is { name, parts } (parts null for a bare attribute)
+  // or { spread: slot }.
+  compile(strings) {
+    const root = { children: [] };
+    const stack = [root];
+    let state = TEXT;
+    let buffer = "";
+    let element = null; // element whose opening tag is being read
+    let attr = null;
+    let quote = "";
+    let selfClosing = false;
+
+    const flushText = () => {
+      const text = buffer.replace(/^\s*\n\s*|\s*\n\s*$/g, "");
+      if (text) stack[stack.length - 1].children.push(this._decode(text));
+      buffer = "";
+    };
+    const finishAttr = () => {
+      if (attr) element.props.push(attr);
+      attr = null;
+    };
+    const openTag = () => {
+      finishAttr();
+      stack[stack.length - 1].children.push(element);
+      const isVoid = typeof element.tag === "string" && VOID_TAGS.has(element.tag.toLowerCase());
+      if (!selfClosing && !isVoid) stack.push(element);
+      element = null;
+      selfClosing = false;
+      state = TEXT;
+    };
+
+    strings.forEach((string, slot) => {
+      for (let i = 0; i < string.length; i++) {
+        const char = string[i];
+        if (state === TEXT) {
+          if (char !== "<") {
+            buffer += char;
+          } else if (string.startsWith("!--", i + 1)) {
+            flushText();
+            state = COMMENT;
+            i += 3;
+          } else {
+            flushText();
+            state = TAG;
+          }
+        } else if (state === COMMENT) {
+          if (string.startsWith("-->", i)) {
+            state = TEXT;
+            i += 2;
+          }
+        } else if (state === CLOSE) {
+          // Any closing tag closes the innermost open element: </div>, </${Component}>, <//>
+          if (char === ">") {
+            if (stack.length > 1) stack.pop();
+            state = TEXT;
+          }
+        } else if (state === TAG) {
+          if (char === "/" && !buffer && !element) {
+            state = CLOSE;
+          } else if (/\s|\/|>/.test(char)) {
+            if (!element) element = { tag: buffer, props: [], children: [] };
+            buffer = "";
+            state = ATTRS;
+            i--;
+          } else {
+            buffer += char;
+          }
+        } else if (state === ATTRS || state === ATTR_NAME) {
+          if (/\s/.test(char)) {
+            state = ATTRS;
+          } else if (char === ">") {
+            openTag();
+          } else if (char === "/") {
+            selfClosing = true;
+          } else if (char === "=" && attr) {
+            attr.parts = [];
+            buffer = "";
+            state = VALUE;
+          } else {
+            if (state === ATTRS) {
+              finishAttr();
+              attr = { name: "", parts: null };
+              state = ATTR_NAME;
+            }
+            attr.name += char;
+          }
+        } else if (state === VALUE) {
+          if (!buffer && !attr.parts.length && (char === '"' || char === "'")) {
+            quote = char;
+            state = QUOTED;
+          } else if (/\s|>/.test(char) || (char === "/" && string[i + 1] === ">")) {
+            if (buffer) attr.parts.push(this._decode(buffer));
+            buffer = "";
+            state = ATTRS;
+            i--;
+          } else {
+            buffer += char;
+          }
+        } else if (state === QUOTED) {
+          if (char === quote) {
+            if (buffer) attr.parts.push(this._decode(buffer));
+            buffer = "";
+            state = ATTRS;
+          } else {
+            buffer += char;
+          }
+        }
+      }
+
+      if (slot === strings.length - 1) return;
+      // The value between this string and the next
+      if (state === TEXT) {
+        flushText();
+        stack[stack.length - 1].children.push({ slot });
+      } else if (state === TAG) {
+        element = { tag: { slot }, props: [], children: [] };
+      } else if (state === ATTR_NAME && attr.name === "...") {
+        element.props.push({ spread: slot });
+        attr = null;
+        state = ATTRS;
+      } else if (state === VALUE || state === QUOTED) {
+        if (buffer) attr.parts.push(this._decode(buffer));
+        buffer = "";
+        attr.parts.push({ slot });
+      }
+    });
+
+    if (state === TEXT) flushText();
+    return root.children;
+  }
+
+  _build(nodes, values) {
+    const createElement = window.ReactExpress.createElement;
+    return nodes.map((node) => {
+      if (typeof node === "string") return node;
+      if (!node.tag) return values[node.slot];
+
+      const props = {};
+      node.props.forEach((prop) => {
+        if (prop.spread !== undefined) {
+          Object.assign(props, values[prop.spread]);
+        } else if (!prop.parts) {
+          props[prop.name] = true;
+        } else if (prop.parts.length === 1 && typeof prop.parts[0] !== "string") {
+          // A lone value keeps its type: handlers, objects, numbers, false
+          props[prop.name] = values[prop.parts[0].slot];
+        } else {
+          props[prop.name] = prop.parts
+            .map((part) => (typeof part === "string" ? part : String(values[part.slot] ?? "")))
+            .join("");
+        }
+      });
+      const tag = typeof node.tag === "string" ? node.tag : values[node.tag.slot];
+      return createElement(tag, props, ...this._build(node.children, values));
+    });
+  }
+
+  // Character references in the static parts: &amp;, &#39;, &#x2014;...
+  _decode(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+      if (name[0] === "#") {
+        const code = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return ENTITIES[name.toLowerCase()] ?? match;
+    });
+  }
+}
+
+// Initialize ReactExpress html templates
+window.ReactExpress = window.ReactExpress || {};
+const htmlTemplates = new HtmlTemplates();
+window.ReactExpress.html = (strings, ...values) => htmlTemplates.render(strings, values);
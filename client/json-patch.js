@@ -0,0 +1,186 @@
+// JSON Patch (RFC 6902), mirrors utils/jsonPatch.ts on the server
+class PatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PatchError";
+  }
+}
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const isContainer = (value) => value !== null && typeof value === "object";
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  if (keysA.length !== Object.keys(b).length) return false;
+  return keysA.every((key) => hasOwn(b, key) && deepEqual(a[key], b[key]));
+};
+
+const escapeToken = (token) => String(token).replace(/~/g, "~0").replace(/\//g, "~1");
+
+const parsePointer = (pointer) => {
+  if (pointer === "") return [];
+  if (typeof pointer !== "string" || pointer[0] !== "/") {
+    throw new PatchError(`Invalid JSON pointer: ${pointer}`);
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((token) => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+};
+
+const notFound = (tokens) =>
+  new PatchError(`Path not found: /${tokens.map(escapeToken).join("/")}`);
+
+const toIndex = (token, max) => {
+  if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > max) {
+    throw new PatchError(`Invalid array index: ${token}`);
+  }
+  return Number(token);
+};
+
+const getAt = (doc, tokens) => {
+  let node = doc;
+  for (const token of tokens) {
+    if (Array.isArray(node)) {
+      node = node[toIndex(token, node.length - 1)];
+    } else if (isContainer(node) && hasOwn(node, token)) {
+      node = node[token];
+    } else {
+      throw notFound(tokens);
+    }
+  }
+  return node;
+};
+
+// Copy containers along the path only, so untouched subtrees keep their identity
+const updateAt = (doc, tokens, write) => {
+  const copy = (node) => (Array.isArray(node) ? node.slice() : { ...node });
+  if (!isContainer(doc)) throw new PatchError("Cannot patch into a primitive value");
+  const root = copy(doc);
+  let parent = root;
+  tokens.slice(0, -1).forEach((token) => {
+    const key = Array.isArray(parent) ? toIndex(token, parent.length - 1) : token;
+    if (!isContainer(parent[key])) throw notFound(tokens);
+    parent[key] = copy(parent[key]);
+    parent = parent[key];
+  });
+  write(parent, tokens[tokens.length - 1]);
+  return root;
+};
+
+const add = (doc, tokens, value) => {
+  if (!tokens.length) return value;
+  return updateAt(doc, tokens, (parent, token) => {
+    if (Array.isArray(parent)) {
+      parent.splice(token === "-" ? parent.length : toIndex(token, parent.length), 0, value);
+    } else {
+      parent[token] = value;
+    }
+  });
+};
+
+const remove = (doc, tokens) => {
+  if (!tokens.length) return undefined;
+  return updateAt(doc, tokens, (parent, token) => {
+    if (Array.isArray(parent)) {
+      parent.splice(toIndex(token, parent.length - 1), 1);
+    } else if (hasOwn(parent, token)) {
+      delete parent[token];
+    } else {
+      throw notFound(tokens);
+    }
+  });
+};
+
+const replace = (doc, tokens, value) => {
+  if (!tokens.length) return value;
+  getAt(doc, tokens);
+  return updateAt(doc, tokens, (parent, token) => {
+    parent[Array.isArray(parent) ? toIndex(token, parent.length - 1) : token] = value;
+  });
+};
+
+// Apply operations in order without mutating `doc`; throws PatchError on failure
+const applyPatch = (doc, operations) => {
+  if (!Array.isArray(operations)) throw new PatchError("A patch must be an array of operations");
+  return operations.reduce((current, operation) => {
+    const tokens = parsePointer(operation.path);
+    switch (operation.op) {
+      case "add":
+        return add(current, tokens, operation.value);
+      case "remove":
+        return remove(current, tokens);
+      case "replace":
+        return replace(current, tokens, operation.value);
+      case "move": {
+        if (operation.path.startsWith(`${operation.from}/`)) {
+          throw new PatchError("Cannot move a value into one of its children");
+        }
+        const from = parsePointer(operation.from);
+        return add(remove(current, from), tokens, getAt(current, from));
+      }
+      case "copy":
+        return add(current, tokens, structuredClone(getAt(current, parsePointer(operation.from))));
+      case "test":
+        if (!deepEqual(getAt(current, tokens), operation.value)) {
+          throw new PatchError(`Test failed at ${operation.path}`);
+        }
+        return current;
+      default:
+        throw new PatchError(`Unknown patch operation: ${operation.op}`);
+    }
+  }, doc);
+};
+
+// Operations that turn `a` into `b`
+const diff = (a, b, path = "") => {
+  if (deepEqual(a, b)) return [];
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) {
+    return [{ op: "replace", path, value: b }];
+  }
+
+  const operations = [];
+  if (Array.isArray(a)) {
+    // Skip the unchanged head and tail so inserts and removals stay small
+    let start = 0;
+    while (start < a.length && start < b.length && deepEqual(a[start], b[start])) start++;
+    let end = 0;
+    while (
+      end < a.length - start &&
+      end < b.length - start &&
+      deepEqual(a[a.length - 1 - end], b[b.length - 1 - end])
+    ) end++;
+
+    const changedA = a.length - start - end;
+    const changedB = b.length - start - end;
+    const common = Math.min(changedA, changedB);
+    for (let i = 0; i < common; i++) {
+      operations.push(...diff(a[start + i], b[start + i], `${path}/${start + i}`));
+    }
+    for (let i = common; i < changedA; i++) {
+      operations.push({ op: "remove", path: `${path}/${start + common}` });
+    }
+    for (let i = common; i < changedB; i++) {
+      operations.push({ op: "add", path: `${path}/${start + i}`, value: b[start + i] });
+    }
+    return operations;
+  }
+
+  Object.keys(a).forEach((key) => {
+    if (!hasOwn(b, key)) operations.push({ op: "remove", path: `${path}/${escapeToken(key)}` });
+  });
+  Object.keys(b).forEach((key) => {
+    const childPath = `${path}/${escapeToken(key)}`;
+    if (!hasOwn(a, key)) {
+      operations.push({ op: "add", path: childPath, value: b[key] });
+    } else {
+      operations.push(...diff(a[key], b[key], childPath));
+    }
+  });
+  return operations;
+};
+
+window.ReactExpress = window.ReactExpress || {};
+window.ReactExpress.jsonPatch = { applyPatch, diff, deepEqual, isContainer, PatchError };
@@ -58,6 +58,7 @@ class Component {
     // Render new content
     const content = this.render();
     if (content !== undefined) {
+      if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(this.element);
       this.element.innerHTML = content;
     }
 
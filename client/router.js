@@ -1,7 +1,22 @@
 // Router module for handling dynamic page navigation with enhanced features
+
+// Loader data embedded in a rendered page, undefined when its route has no loader
+const readLoaderData = (root = document) => {
+  const el = root.querySelector("#__react-express-loader");
+  if (!el) return undefined;
+  try {
+    return JSON.parse(el.textContent || "null");
+  } catch (err) {
+    console.warn("Invalid loader data:", err);
+    return undefined;
+  }
+};
+
 class Router {
   constructor(options = {}) {
     this.cache = new Map();
+    this.loaderCache = new Map();
+    this.loaderData = readLoaderData();
     this.prefetchQueue = new Set();
     this.loadedResources = new Set();
     this.middlewares = [];
@@ -87,7 +102,7 @@ class Router {
         entries.forEach((entry) => {
           if (entry.isIntersecting) {
             const link = entry.target;
-            if (link.hasAttribute("prefetch") && !this.cache.has(link.href)) {
+            if (link.hasAttribute("prefetch") && !this.cache.has(this.cacheKey(link.href))) {
               this.prefetchQueue.add(link.href);
               this.startPrefetching();
             }
@@ -115,7 +130,8 @@ class Router {
       this.prefetchQueue.delete(url);
 
       try {
-        await this.fetchPage(url);
+        const pageData = await this.fetchPage(url);
+        if (pageData.loaderData !== undefined) await this.fetchLoaderData(url);
       } catch (error) {
         console.warn(`Failed to prefetch ${url}:`, error);
       }
@@ -132,8 +148,12 @@ class Router {
       // Normalize URL for consistent cache keys
       const absoluteUrl = new URL(url, window.location.href).href;
 
+      // Partial responses depend on the layouts this page is in
+      const layouts = JSON.stringify(this.currentLayouts());
+      const cacheKey = this.cacheKey(absoluteUrl);
+
       // Serve from cache if fresh
-      const cached = this.cache.get(absoluteUrl);
+      const cached = this.cache.get(cacheKey);
       if (
         cached &&
         Date.now() - cached.ts < (this.options.cacheTimeout || 0)
@@ -144,6 +164,9 @@ class Router {
       const response = await fetch(absoluteUrl, {
         headers: {
           "X-Requested-With": "XMLHttpRequest",
+          // Ask for just the [data-content] region and a manifest
+          "X-React-Express-Partial": "1",
+          "X-React-Express-Layouts": layouts,
           "Cache-Control": "no-cache",
         },
       });
@@ -162,6 +185,26 @@ class Router {
         throw error;
       }
 
+      // Partial response: the manifest already has the page data, with URLs relative to the page
+      if ((response.headers.get("Content-Type") || "").includes("application/json")) {
+        const partial = await response.json();
+        const resolve = (href) => new URL(href, absoluteUrl).href;
+        const pageData = {
+          ...partial,
+          title: partial.title || document.title,
+          headStyles: partial.headStyles.map((style) =>
+            style.href ? { ...style, href: resolve(style.href) } : style
+          ),
+          externalScripts: partial.externalScripts.map((script) => ({
+            ...script,
+            src: resolve(script.src),
+          })),
+        };
+        this.cache.set(cacheKey, { data: pageData, ts: Date.now() });
+        this.seedLoaderData(absoluteUrl, pageData.loaderData);
+        return pageData;
+      }
+
       const html = await response.text();
 
       // Parse HTML
@@ -225,22 +268,27 @@ class Router {
       // Collect inline scripts from entire document (execute later in order)
       const inlineScripts = [];
       doc
-        .querySelectorAll("script:not([src])")
+        .querySelectorAll("script:not([src]):not([type='application/json'])")
         .forEach((script) => {
           inlineScripts.push(script.textContent || "");
         });
 
       const pageData = {
         title,
+        state: window.ReactExpress.readInitialState
+          ? window.ReactExpress.readInitialState(doc)
+          : null,
         content,
         headStyles,
         contentStyles,
         externalScripts,
         inlineScripts,
+        loaderData: readLoaderData(doc),
       };
 
       // Cache the result
-      this.cache.set(absoluteUrl, { data: pageData, ts: Date.now() });
+      this.cache.set(cacheKey, { data: pageData, ts: Date.now() });
+      this.seedLoaderData(absoluteUrl, pageData.loaderData);
       return pageData;
     } catch (error) {
       await this.handleError("fetchError", error, { url });
@@ -248,6 +296,66 @@ class Router {
     }
   }
 
+  /**
+   * Data from a route's loader, through its JSON endpoint (the route's URL with an
+   * X-React-Express-Loader header). Cached per URL for `cacheTimeout` like pages.
+   * @param {string} url
+   * @returns {Promise<any>}
+   */
+  async fetchLoaderData(url) {
+    const absoluteUrl = new URL(url, window.location.href).href;
+    const cached = this.loaderCache.get(absoluteUrl);
+    if (cached && Date.now() - cached.ts < (this.options.cacheTimeout || 0)) {
+      return cached.data;
+    }
+
+    const response = await fetch(absoluteUrl, {
+      headers: {
+        "X-Requested-With": "XMLHttpRequest",
+        "X-React-Express-Loader": "1",
+        "Cache-Control": "no-cache",
+      },
+    });
+    if (!response.ok) {
+      const error = new Error(`Loader request failed! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    const { data } = await response.json();
+    this.loaderCache.set(absoluteUrl, { data, ts: Date.now() });
+    return data;
+  }
+
+  /**
+   * Drop cached loader data so the next navigation or prefetch loads it again
+   * @param {string} [url] - One page, or every page when omitted
+   */
+  revalidate(url) {
+    if (url) {
+      this.loaderCache.delete(new URL(url, window.location.href).href);
+    } else {
+      this.loaderCache.clear();
+    }
+  }
+
+  /**
+   * Cache the loader data a freshly fetched page was rendered with
+   * @private
+   */
+  seedLoaderData(absoluteUrl, data) {
+    if (data === undefined) return;
+    this.loaderCache.set(absoluteUrl, { data, ts: Date.now() });
+  }
+
+  /**
+   * Make a page's loader data current and tell listeners
+   * @private
+   */
+  setLoaderData(url, data) {
+    this.loaderData = data;
+    window.dispatchEvent(new CustomEvent("loaderData", { detail: { url, data } }));
+  }
+
   async loadResource(resource, isPageStyle = false) {
     // Modify loadResource to add data attributes for style tracking & dedupe
     return new Promise((resolve, reject) => {
@@ -375,6 +483,12 @@ class Router {
 
       const pageData = await this.fetchPage(url);
 
+      // Fresh loader data for the page, set before its scripts run
+      this.setLoaderData(
+        url,
+        pageData.loaderData === undefined ? undefined : await this.fetchLoaderData(url)
+      );
+
       // Update the page title
       document.title = pageData.title;
 
@@ -401,8 +515,10 @@ class Router {
 
       await Promise.all(resourcePromises);
 
-      // Replace the entire page content
-      this.replaceEntirePageContent(pageData);
+      // Swap only the content region when we can, otherwise the entire page
+      const contentRoot =
+        pageData.partial ? this.replaceContentRegion(pageData) : null;
+      if (!contentRoot) this.replaceEntirePageContent(pageData);
 
       if (this.options.animations) {
         const newContent = document.querySelector("[data-content]");
@@ -429,6 +545,10 @@ class Router {
 
       // Re-initialize state and components for new content
       try {
+        // Seed keys this page introduces; live values win over a cached render
+        if (window.ReactExpress && typeof window.ReactExpress.hydrateState === 'function') {
+          window.ReactExpress.hydrateState(pageData.state, { onlyMissing: true });
+        }
         if (window.ReactExpress && typeof window.ReactExpress.initializeState === 'function') {
           window.ReactExpress.initializeState();
         }
@@ -441,7 +561,7 @@ class Router {
       }
       try {
         if (window.ReactExpress && typeof window.ReactExpress.initializeComponents === 'function') {
-          window.ReactExpress.initializeComponents(document.body);
+          window.ReactExpress.initializeComponents(contentRoot || document.body);
         }
       } catch (e) {
         try {
@@ -457,7 +577,8 @@ class Router {
       // Dispatch a custom event
       window.dispatchEvent(
         new CustomEvent("routeChanged", {
-          detail: { url, title: pageData.title },
+          // `layout` is the layout whose slot changed, null when the page's own content or the whole page did
+          detail: { url, title: pageData.title, layout: contentRoot ? pageData.region || null : null },
         })
       );
 
@@ -511,6 +632,7 @@ class Router {
           const currentContent = document.querySelector("[data-content]");
           if (currentContent) {
             document.title = "Page Not Found";
+            if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(currentContent);
             currentContent.innerHTML = `
               <div class="error-container">
                 <h1>404 - Page Not Found</h1>
@@ -540,7 +662,8 @@ class Router {
     // Preserve critical scripts before replacing body content
     const criticalScripts = Array.from(document.querySelectorAll('script[src*="react-express.bundle.js"], script[src*="socket.io"]'));
     
-    // Replace entire body content
+    // Replace entire body content, unmounting what the VDOM rendered there first
+    if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(document.body);
     document.body.innerHTML = pageData.content;
 
     // Re-add critical scripts to maintain ReactExpress functionality
@@ -556,18 +679,68 @@ class Router {
       document.body.appendChild(newScript);
     });
 
-    // Execute inline scripts after ensuring ReactExpress is available
+    this.executeInlineScripts(pageData.inlineScripts, document.body);
+  }
+
+  /**
+   * Swap the [data-content] region for a partial page, leaving the rest of the page alone
+   * @private
+   * @param {Object} pageData - Partial page data from the server manifest
+   * @returns {Element|null} The updated region, or null when this page has none
+   */
+  replaceContentRegion(pageData) {
+    // A layout slot when both pages share layouts, else the page's own content element
+    const region = pageData.region
+      ? Array.from(document.querySelectorAll("[data-content]")).find(
+          (el) => el.getAttribute("data-content") === pageData.region
+        )
+      : document.querySelector("[data-content]");
+    if (!region) return null;
+
+    document.title = pageData.title;
+    if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(region);
+    region.innerHTML = pageData.content;
+    this.executeInlineScripts(pageData.inlineScripts, region);
+    return region;
+  }
+
+  /**
+   * Cache key for a page fetched from the current page
+   * @param {string} absoluteUrl
+   * @returns {string}
+   */
+  cacheKey(absoluteUrl) {
+    return `${absoluteUrl}|${JSON.stringify(this.currentLayouts())}`;
+  }
+
+  /**
+   * Layouts the current page renders in, outermost first (their slots are named [data-content] elements)
+   * @returns {string[]}
+   */
+  currentLayouts() {
+    return Array.from(document.querySelectorAll("[data-content]"))
+      .map((el) => el.getAttribute("data-content"))
+      .filter(Boolean);
+  }
+
+  /**
+   * Execute inline scripts once ReactExpress is available
+   * @private
+   * @param {string[]} scripts - Script sources, in order
+   * @param {Element} parent - Where the script elements are appended
+   */
+  executeInlineScripts(scripts, parent) {
     const executeScripts = () => {
       if (!window.ReactExpress || !window.ReactExpress.createElement) {
         setTimeout(executeScripts, 50);
         return;
       }
       
-      for (const scriptContent of pageData.inlineScripts) {
+      for (const scriptContent of scripts) {
         try {
           const script = document.createElement("script");
           script.textContent = scriptContent;
-          document.body.appendChild(script);
+          parent.appendChild(script);
         } catch (error) {
           console.error('Error executing inline script:', error);
           try {
@@ -601,3 +774,6 @@ window.ReactExpress.router = new Router({
   cacheTimeout: 5 * 60 * 1000, // 5 minutes
   prefetchDelay: 100,
 });
+
+// Current page's loader data; listen for the `loaderData` window event to follow navigations
+window.ReactExpress.useLoaderData = () => window.ReactExpress.router.loaderData;
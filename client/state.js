@@ -14,7 +14,7 @@ window.ReactExpress = window.ReactExpress || {
       const initial = (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT')
         ? element.value
         : element.textContent;
-      hooks.useState(key, initial);
+      window.ReactExpress.components._useGlobalState(key, initial);
       // Delegate binding to hooks; formatters resolve via data-format
       hooks.bindState(key, element);
     };
@@ -92,30 +92,102 @@ window.ReactExpress = window.ReactExpress || {
   },
 
   setState(key, value, options = { sync: false }) {
-    // Delegate state updates to hooks store
-    const [, set] = window.ReactExpress.hooks.useState(key, null);
+    // Delegate state updates to hooks store, never to a component's own state
+    const local = storeKey(options.scope, key);
+    const [get, set] = window.ReactExpress.components._useGlobalState(local, null);
+    const previous = get();
     set(value);
 
-    // Sync with server if needed
-    if (options.sync && socket) {
-      socket.emit("state:update", { key, value });
+    // Sync with server if needed; scope is 'global', 'session' or 'room:<name>'.
+    // Shared (CRDT) keys always sync, through the operations the write turned into.
+    if (!options.sync || !socket || isShared(local)) return;
+    // Queued offline writes are coalesced per key, so only live writes are sent as patches
+    const patch = patchMode && socket.connected && synced ? patchFor(previous, value) : null;
+    if (patch) {
+      sendWrite("state:patch", {
+        key,
+        patch,
+        scope: options.scope,
+        baseVersion: versions.get(versionKey(options.scope, key)),
+        clientId,
+      });
+    } else {
+      sendWrite("state:update", {
+        key,
+        value,
+        scope: options.scope,
+        baseVersion: versions.get(versionKey(options.scope, key)),
+        clientId,
+      });
     }
   },
-  getState(key) {
+  getState(key, options = {}) {
     // Read via hooks store; ensure binding exists
-    const [get] = window.ReactExpress.hooks.useState(key, undefined);
+    const [get] = window.ReactExpress.components._useGlobalState(storeKey(options.scope, key), undefined);
     return get();
   },
 
   batchUpdate(updates, options = { sync: true }) {
+    // Shared keys are merged through their CRDT, and sync on their own
+    const plain = {};
+    const local = {};
+    const shared = [];
     Object.entries(updates).forEach(([key, value]) => {
-      this.setState(key, value, { ...options, sync: false });
+      if (options.sync && isShared(storeKey(options.scope, key))) {
+        shared.push(key);
+      } else {
+        plain[key] = value;
+        local[storeKey(options.scope, key)] = value;
+      }
     });
 
-    if (options.sync && socket) {
-      socket.emit("state:batch-update", { updates });
+    // Apply all keys before any binding or listener runs
+    window.ReactExpress.components._setBindingValues(local);
+    shared.forEach((key) => window.ReactExpress.crdt.get(storeKey(options.scope, key)).assign(updates[key]));
+
+    if (options.sync && socket && Object.keys(plain).length) {
+      const baseVersions = {};
+      Object.keys(plain).forEach((key) => {
+        const version = versions.get(versionKey(options.scope, key));
+        if (version !== undefined) baseVersions[key] = version;
+      });
+      sendWrite("state:batch-update", {
+        updates: plain,
+        scope: options.scope,
+        baseVersions,
+        clientId,
+      });
     }
   },
+
+  // Seed the hooks store with server-rendered values (no server sync).
+  // onlyMissing keeps live values, e.g. when a cached page is hydrated later.
+  hydrateState(values, options = { onlyMissing: false }) {
+    if (!values || typeof values !== "object") return;
+    const components = window.ReactExpress.components;
+    const seed = options.onlyMissing
+      ? Object.fromEntries(
+          Object.entries(values).filter(([key]) => !components.stateBindings.has(key))
+        )
+      : values;
+    components._setBindingValues(seed);
+  },
+
+  // Join a named server state room; its current state is sent on join
+  joinRoom(room) {
+    rooms.add(room);
+    if (socket) socket.emit("state:join", { room, since: revisions[`room:${room}`] });
+  },
+
+  // Writes waiting for the connection to come back
+  pendingWrites() {
+    return offlineQueue.map(({ event, payload }) => ({ event, ...payload }));
+  },
+
+  leaveRoom(room) {
+    rooms.delete(room);
+    if (socket) socket.emit("state:leave", { room });
+  },
 };
 
 const updateElement = (element, value) => {
@@ -153,24 +225,284 @@ const updateElement = (element, value) => {
 };
 
 let socket;
+const rooms = new Set();
+
+// Sync bookkeeping: scope -> { epoch, revision } and "<scope>/<key>" -> last seen server version
+const revisions = {};
+const versions = new Map();
+// Writes made while disconnected, replayed after the next resync
+let offlineQueue = [];
+let synced = false;
+// Patches and CRDT operations that arrived before the sync finished, as [apply, payload]
+let held = [];
+// Set by the server when it exchanges JSON Patches for object/array keys
+let patchMode = false;
+
+// Scope that writes without a `scope` go to: "session" when the server has sessions enabled
+const defaultScope = () => window.ReactExpress.defaultScope || "global";
+
+// Every scope shares the hooks store: the default scope under the plain key, any other
+// scope under "<scope>/<key>", e.g. "room:lobby/topic" or, with sessions, "global/visitors"
+const storeKey = (scope, key) => (!scope || scope === defaultScope() ? key : `${scope}/${key}`);
+
+// Versions are per scope, so a write is checked against the scope it goes to
+const versionKey = (scope, key) => `${scope || defaultScope()}/${key}`;
+
+// Replicas of shared keys are registered under their store key
+const isShared = (local) => !!(window.ReactExpress.crdt && window.ReactExpress.crdt.has(local));
+// Lets the server tell this page's own earlier writes from conflicting ones
+const clientId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+const recordVersions = (scope, values) => {
+  Object.entries(values || {}).forEach(([key, version]) => {
+    if (typeof version === "number") versions.set(versionKey(scope, key), version);
+  });
+};
+
+const recordRevision = (scope, revision, epoch) => {
+  const known = revisions[scope];
+  if (!known || typeof revision !== "number") return;
+  if (epoch && epoch !== known.epoch) return;
+  known.revision = Math.max(known.revision, revision);
+};
+
+const handleAck = (result) => {
+  // Refusals arrive separately as state:rejected
+  if (!result || !result.ok) return;
+  recordVersions(result.scope, result.versions);
+  recordRevision(result.scope, result.revision, result.epoch);
+  // A patch merged with someone else's change comes back with the merged value
+  if (result.values) window.ReactExpress.batchUpdate(result.values, { sync: false, scope: result.scope });
+};
+
+// A patch from `previous` to `value`, or null when the whole value is as cheap to send
+const patchFor = (previous, value) => {
+  const { diff, isContainer } = window.ReactExpress.jsonPatch;
+  if (!isContainer(previous) || !isContainer(value) || previous === value) return null;
+  const patch = diff(previous, value);
+  return JSON.stringify(patch).length < JSON.stringify(value).length ? patch : null;
+};
+
+const sendWrite = (event, payload) => {
+  if (socket.connected && synced) {
+    socket.emit(event, payload, handleAck);
+    return;
+  }
+  // Offline: CRDT operations for the same key are sent together
+  if (event === "state:crdt") {
+    const queued = offlineQueue.find(
+      (entry) =>
+        entry.event === event &&
+        entry.payload.key === payload.key &&
+        entry.payload.scope === payload.scope
+    );
+    if (queued) {
+      queued.payload.ops.push(...payload.ops);
+      return;
+    }
+  }
+  // Offline: keep only the latest value per key, but the version it was based on
+  if (event === "state:update") {
+    const queued = offlineQueue.find(
+      (entry) =>
+        entry.event === event &&
+        entry.payload.key === payload.key &&
+        entry.payload.scope === payload.scope
+    );
+    if (queued) {
+      queued.payload = { ...payload, baseVersion: queued.payload.baseVersion };
+      return;
+    }
+  }
+  offlineQueue.push({ event, payload });
+};
+
+// Store keys with writes waiting in the offline queue
+const queuedKeys = () => {
+  const keys = new Set();
+  offlineQueue.forEach(({ payload }) => {
+    if (payload.key !== undefined) keys.add(storeKey(payload.scope, payload.key));
+    if (payload.updates) Object.keys(payload.updates).forEach((key) => keys.add(storeKey(payload.scope, key)));
+  });
+  return keys;
+};
+
+// Local CRDT operations the server has not received yet
+const queuedOps = (local) =>
+  offlineQueue
+    .filter(({ event, payload }) => event === "state:crdt" && storeKey(payload.scope, payload.key) === local)
+    .flatMap(({ payload }) => payload.ops);
+
+const applySnapshot = ({ scope, epoch, revision, updates, versions: keyVersions, crdts }) => {
+  const known = revisions[scope];
+  if (known && known.epoch !== epoch) {
+    // The server lost its history (e.g. restarted): versions we hold mean nothing now
+    offlineQueue.forEach(({ payload }) => {
+      delete payload.baseVersion;
+      delete payload.baseVersions;
+    });
+  }
+  revisions[scope] = { epoch, revision };
+  recordVersions(scope, keyVersions);
+
+  // Keep values changed while offline; they are replayed right after
+  const pending = queuedKeys();
+  const fresh = Object.fromEntries(
+    Object.entries(updates || {}).filter(([key]) => !pending.has(storeKey(scope, key)))
+  );
+  // Shared keys restart from the server's replica plus our unsent edits
+  Object.entries(crdts || {}).forEach(([key, shared]) => {
+    const local = storeKey(scope, key);
+    fresh[key] = window.ReactExpress.crdt.load(local, shared, scope, queuedOps(local), key);
+  });
+  if (Object.keys(fresh).length) {
+    window.ReactExpress.batchUpdate(fresh, { sync: false, scope });
+  }
+};
+
+const resync = () => {
+  synced = false;
+  rooms.forEach((room) =>
+    socket.emit("state:join", { room, since: revisions[`room:${room}`] })
+  );
+  socket.emit("state:sync", { known: revisions }, ({ snapshots, patches, defaultScope: scope } = {}) => {
+    patchMode = !!patches;
+    if (scope) window.ReactExpress.defaultScope = scope;
+    (snapshots || []).forEach(applySnapshot);
+    synced = true;
+    // Replay held changes the snapshots do not include yet
+    const early = held;
+    held = [];
+    early.forEach(([apply, payload]) => {
+      // One that no longer applies starts another sync, which the rest wait for
+      if (!synced) {
+        held.push([apply, payload]);
+        return;
+      }
+      const known = versions.get(versionKey(payload.scope, payload.key)) || 0;
+      if (typeof payload.version !== "number" || payload.version > known) apply(payload);
+    });
+    const queued = offlineQueue;
+    offlineQueue = [];
+    queued.forEach(({ event, payload }) => socket.emit(event, payload, handleAck));
+    window.dispatchEvent(
+      new CustomEvent("state:synced", { detail: { replayed: queued.length } })
+    );
+  });
+};
+
+// Apply a patch to our copy when it was made against the version we hold
+const applyPatchEvent = ({ key, patch, scope, baseVersion, version, revision }) => {
+  let value;
+  try {
+    if ((versions.get(versionKey(scope, key)) || 0) !== baseVersion) throw new Error(`"${key}" is out of date`);
+    value = window.ReactExpress.jsonPatch.applyPatch(window.ReactExpress.getState(key, { scope }), patch);
+  } catch (err) {
+    // Our copy drifted from the server's; catch up with a full resync
+    resync();
+    return;
+  }
+  recordVersions(scope, { [key]: version });
+  recordRevision(scope, revision);
+  window.ReactExpress.setState(key, value, { sync: false, scope });
+};
+
+// Merge operations on shared keys into our replica
+const applyCrdtEvent = ({ key, ops, scope, version, revision }) => {
+  let value;
+  try {
+    value = window.ReactExpress.crdt.apply(storeKey(scope, key), ops);
+  } catch (err) {
+    resync();
+    return;
+  }
+  recordVersions(scope, { [key]: version });
+  recordRevision(scope, revision);
+  if (value !== undefined) window.ReactExpress.batchUpdate({ [key]: value }, { sync: false, scope });
+};
+
+// Read the state the server embedded in the page
+export const readInitialState = (root = document) => {
+  const el = root.querySelector("#__react-express-state");
+  if (!el) return null;
+  try {
+    return JSON.parse(el.textContent || "{}");
+  } catch (err) {
+    console.warn("Invalid initial state:", err);
+    return null;
+  }
+};
 
 export const initState = async (_socket) => {
   socket = _socket;
 
+  // Seed server values first so bindings render them without a socket round trip
+  window.ReactExpress.hydrateState(readInitialState());
+
   // Initialize the state system
   window.ReactExpress.initializeState();
 
   if (socket) {
+    window.ReactExpress.crdt.send = (key, scope, ops) =>
+      sendWrite("state:crdt", { key, scope, ops, clientId });
+
     // Handle individual state updates
-    socket.on("state:update", ({ key, value }) => {
-      window.ReactExpress.setState(key, value, { sync: false });
+    socket.on("state:update", ({ key, value, scope, version, revision }) => {
+      recordVersions(scope, { [key]: version });
+      recordRevision(scope, revision);
+      window.ReactExpress.setState(key, value, { sync: false, scope });
     });
 
+    // Incremental changes only apply on top of synced values, so they wait for the sync
+    socket.on("state:patch", (payload) => (synced ? applyPatchEvent(payload) : held.push([applyPatchEvent, payload])));
+    socket.on("state:crdt", (payload) => (synced ? applyCrdtEvent(payload) : held.push([applyCrdtEvent, payload])));
+
     // Handle batch updates
-    socket.on("state:batch-update", ({ updates }) => {
-      window.ReactExpress.batchUpdate(updates, { sync: false });
+    socket.on("state:batch-update", ({ updates, ops, scope, versions: keyVersions, revision }) => {
+      const values = { ...updates };
+      try {
+        Object.entries(ops || {}).forEach(([key, keyOps]) => {
+          const value = window.ReactExpress.crdt.apply(storeKey(scope, key), keyOps);
+          if (value !== undefined) values[key] = value;
+        });
+      } catch (err) {
+        resync();
+        return;
+      }
+      recordVersions(scope, keyVersions);
+      recordRevision(scope, revision);
+      window.ReactExpress.batchUpdate(values, { sync: false, scope });
+    });
+
+    // Room contents on join, or what changed since we last saw the room
+    socket.on("state:snapshot", applySnapshot);
+
+    // Roll back writes the server refused and let the page react
+    socket.on("state:rejected", ({ scope, rejections, current = {}, versions: keyVersions, crdts }) => {
+      console.warn("State write rejected:", rejections);
+      recordVersions(scope, keyVersions);
+      Object.entries(crdts || {}).forEach(([key, shared]) => {
+        current[key] = window.ReactExpress.crdt.load(storeKey(scope, key), shared, scope, [], key);
+      });
+      if (Object.keys(current).length) {
+        window.ReactExpress.batchUpdate(current, { sync: false, scope });
+      }
+      window.dispatchEvent(
+        new CustomEvent("state:rejected", { detail: { scope, rejections } })
+      );
+    });
+
+    // Catch up on every (re)connect, then replay writes made while offline.
+    // Room membership is per connection, so rooms are rejoined as well.
+    socket.on("connect", resync);
+    socket.on("disconnect", () => {
+      synced = false;
+      // The next sync brings whatever these would have changed
+      held = [];
     });
+    if (socket.connected) resync();
   }
 };
 
 ReactExpress.initState = initState;
+ReactExpress.readInitialState = readInitialState;
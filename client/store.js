@@ -17,11 +17,11 @@ class Store {
 
     // Bridge: initialize hooks bindings for top-level keys with initial values
     try {
-      const hooks = window.ReactExpress && window.ReactExpress.hooks;
-      if (hooks && typeof hooks.useState === 'function') {
+      const components = window.ReactExpress && window.ReactExpress.components;
+      if (components && typeof components._useGlobalState === 'function') {
         Object.keys(this.state).forEach((key) => {
           // Initialize binding value without forcing a render
-          hooks.useState(key, this.state[key]);
+          components._useGlobalState(key, this.state[key]);
         });
       }
     } catch (_) {}
@@ -38,13 +38,13 @@ class Store {
 
     // Bridge: forward all top-level keys into hooks to drive VDOM renders
     try {
-      const hooks = window.ReactExpress && window.ReactExpress.hooks;
-      if (hooks && typeof hooks.useState === 'function') {
+      const components = window.ReactExpress && window.ReactExpress.components;
+      if (components && typeof components._useGlobalState === 'function') {
         const prevKeys = Object.keys(prevState);
         const currKeys = Object.keys(this.state);
         const allKeys = new Set([...prevKeys, ...currKeys]);
         allKeys.forEach((key) => {
-          const [, set] = hooks.useState(key, this.state[key]);
+          const [, set] = components._useGlobalState(key, this.state[key]);
           // Set to undefined if key was removed
           set(currKeys.includes(key) ? this.state[key] : undefined);
         });
@@ -86,7 +86,7 @@ class Store {
         // Optional helper for selecting state into a hooks binding
         app.storeSelect = (key, selector = (s) => s[key]) => {
           const hooks = window.ReactExpress.hooks;
-          const [get, set] = hooks.useState(key, selector(store.state));
+          const [get, set] = window.ReactExpress.components._useGlobalState(key, selector(store.state));
           hooks.useEffect(() => store.subscribe((s) => set(selector(s))), []);
           return get;
         };
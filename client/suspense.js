@@ -56,6 +56,37 @@ class LoaderManager {
 
     this.setupMutationObserver();
     this.processContainers();
+
+    // Regions the server streamed in before this bundle ran
+    const stream = window.ReactExpress && window.ReactExpress.stream;
+    if (stream && stream.pending.length) {
+      stream.pending.splice(0).forEach((entry) => this.adoptStreamed(entry));
+    }
+  }
+
+  /**
+   * Take over a region whose data the server streamed into the page (see res.render's `deferred`)
+   * @param {Object} entry - `{ name, container, data, error, template }` from the stream runtime
+   */
+  static adoptStreamed({ container, data, error, template }) {
+    const manager = this.getInstance(container);
+    container._originalContent = template;
+    container.setAttribute("data-processed", "true");
+    if (error) {
+      manager.handleError(container, new Error(error));
+      return;
+    }
+
+    // Cache under the same key a data-api fetch would use, so HMR re-renders without fetching
+    const cacheKey =
+      container.getAttribute("data-cache-key") ||
+      container.getAttribute("data-api") ||
+      `stream:${container.getAttribute("data-suspense-stream")}`;
+    const cacheDuration =
+      parseInt(container.getAttribute("data-cache-duration")) ||
+      manager.config.defaultCacheDuration;
+    manager.setCachedData(cacheKey, data, cacheDuration);
+    container.dispatchEvent(new CustomEvent("content-loaded", { detail: data }));
   }
 
   static setupMutationObserver() {
@@ -121,6 +152,7 @@ class LoaderManager {
       // Snapshot the template AFTER that mutation to avoid re-introducing the loader.
       const placeholderHTML = this.getPlaceholder(container);
       container._originalContent = container.innerHTML;
+      if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(container);
       container.innerHTML = placeholderHTML;
 
       const data = await this.fetchWithRetry(apiEndpoint);
@@ -206,6 +238,7 @@ class LoaderManager {
   }
 
   async renderContent(container, data) {
+    if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(container);
     container.innerHTML = container._originalContent;
 
     const bindPromises = Array.from(
@@ -253,6 +286,7 @@ class LoaderManager {
       </div>
     `;
 
+    if (window.ReactExpress.vdom) window.ReactExpress.vdom.unmount(container);
     container.innerHTML = errorHTML;
     container.setAttribute("data-error", "true");
 
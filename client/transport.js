@@ -0,0 +1,156 @@
+// Connections to the server: Socket.IO, or Server-Sent Events down and POST up.
+// Both expose the slice of the Socket.IO client API that state.js and hmr.js use:
+// on(event, handler), emit(event, payload, ack) and `connected`.
+
+// Fall back to SSE when Socket.IO has not connected by then
+const FALLBACK_TIMEOUT = 5000;
+// EventSource retries on its own; this is for streams it gave up on
+const RECONNECT_DELAY = 2000;
+
+class SseConnection {
+  constructor(url) {
+    this.url = url;
+    this.id = null;
+    this.connected = false;
+    this.listeners = new Map();
+    this.outbox = Promise.resolve();
+    this.open();
+  }
+
+  open() {
+    this.source = new EventSource(this.url);
+
+    // The server announces our id once it is ready for messages
+    this.source.addEventListener("ready", (event) => {
+      this.id = JSON.parse(event.data).id;
+      this.connected = true;
+      this.dispatch("connect");
+    });
+
+    this.source.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.error("Malformed server event:", error);
+        return;
+      }
+      this.dispatch(message.event, message.payload);
+    };
+
+    this.source.onerror = () => {
+      if (this.connected) {
+        this.connected = false;
+        this.id = null;
+        this.dispatch("disconnect");
+      }
+      if (this.source.readyState === EventSource.CLOSED && !this.closed) {
+        setTimeout(() => this.open(), RECONNECT_DELAY);
+      }
+    };
+  }
+
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return this;
+  }
+
+  dispatch(event, payload) {
+    const handlers = this.listeners.get(event);
+    if (handlers) handlers.forEach((handler) => handler(payload));
+  }
+
+  // Messages go out one at a time so the server sees them in order.
+  // Unlike Socket.IO nothing is buffered while disconnected; state.js resyncs on connect.
+  emit(event, payload, ack) {
+    if (!this.connected) return this;
+    const id = this.id;
+    this.outbox = this.outbox
+      .then(() =>
+        fetch(this.url, {
+          method: "POST",
+          credentials: "same-origin",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ id, event, payload, ack: typeof ack === "function" }),
+        })
+      )
+      .then(async (response) => {
+        if (typeof ack !== "function") return;
+        if (!response.ok) throw new Error(`${event} failed with status ${response.status}`);
+        ack(response.status === 204 ? undefined : await response.json());
+      })
+      .catch((error) => console.error("Error sending", event, error));
+    return this;
+  }
+
+  close() {
+    this.closed = true;
+    this.source.close();
+    if (this.connected) {
+      this.connected = false;
+      this.dispatch("disconnect");
+    }
+  }
+}
+
+// Starts on Socket.IO and moves to SSE for good if it never connects
+class FallbackConnection {
+  constructor({ namespace, path, url }) {
+    this.url = url;
+    this.listeners = [];
+    this.current = null;
+
+    if (typeof window.io !== "function") {
+      this.use(new SseConnection(url));
+      return;
+    }
+
+    const socket = window.io(namespace, { path });
+    this.use(socket);
+    const fallback = () => {
+      if (socket.connected || this.current !== socket) return;
+      clearTimeout(timer);
+      socket.close();
+      console.warn("Socket.IO unavailable, falling back to Server-Sent Events");
+      this.use(new SseConnection(url));
+    };
+    const timer = setTimeout(fallback, FALLBACK_TIMEOUT);
+    socket.once("connect", () => clearTimeout(timer));
+    socket.once("connect_error", fallback);
+  }
+
+  use(connection) {
+    this.current = connection;
+    this.listeners.forEach(([event, handler]) => connection.on(event, handler));
+  }
+
+  get connected() {
+    return this.current.connected;
+  }
+
+  on(event, handler) {
+    this.listeners.push([event, handler]);
+    this.current.on(event, handler);
+    return this;
+  }
+
+  emit(event, payload, ack) {
+    this.current.emit(event, payload, ack);
+    return this;
+  }
+}
+
+/**
+ * Open the connection the server asked for
+ * @param {Object} options - `transport` ('socket.io', 'sse' or 'auto'), Socket.IO `namespace` and `path`, SSE `url`
+ */
+const connect = ({ transport = "socket.io", namespace = "/", path = "/socket.io", url } = {}) => {
+  if (transport === "sse") return new SseConnection(url);
+  if (transport === "auto") return new FallbackConnection({ namespace, path, url });
+  return window.io(namespace, { path });
+};
+
+window.ReactExpress = window.ReactExpress || {};
+window.ReactExpress.connect = connect;
+window.ReactExpress.SseConnection = SseConnection;
@@ -1,91 +1,876 @@
+// Type of vnodes that render only their children, e.g. createElement(Fragment, null, a, b)
+const Fragment = Symbol.for("react-express.fragment");
+// Type of vnodes made by createPortal, whose children render into another element
+const Portal = Symbol.for("react-express.portal");
+
+// Render priorities, most urgent first
+const PRIORITIES = { user: 0, default: 1, idle: 2 };
+// Work per slice before yielding to the browser, in ms (checked between components)
+const SLICE_BUDGET = 5;
+
+const HTML_NS = "http://www.w3.org/1999/xhtml";
+const SVG_NS = "http://www.w3.org/2000/svg";
+const MATHML_NS = "http://www.w3.org/1998/Math/MathML";
+// Namespaces of prefixed attributes such as xlink:href and xml:lang
+const ATTRIBUTE_NS = {
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace",
+};
+
+// Props that are not attributes: children and dangerouslySetInnerHTML fill the element,
+// key identifies it among its siblings
+const RESERVED_PROPS = new Set(["children", "key", "dangerouslySetInnerHTML"]);
+// Live state an attribute only sets the default for, so these are written as properties
+const PROPERTIES = new Set(["selected", "indeterminate", "muted"]);
+// Fields whose value/checked props are controlled, see _syncControlled
+const FORM_FIELDS = new Set(["INPUT", "TEXTAREA", "SELECT"]);
+
+// Event props whose lower-cased name is not the DOM event's (onDoubleClick -> dblclick)
+const EVENT_NAMES = {
+  DoubleClick: "dblclick",
+  GotPointerCapture: "gotpointercapture",
+  LostPointerCapture: "lostpointercapture",
+};
+// Events that never bubble to the container; they are caught on their way down instead
+const NON_BUBBLING_EVENTS = new Set([
+  "focus", "blur", "mouseenter", "mouseleave", "pointerenter", "pointerleave",
+  "load", "error", "abort", "scroll", "scrollend", "invalid", "toggle", "beforetoggle",
+  "cancel", "close", "canplay", "canplaythrough", "durationchange", "emptied", "ended",
+  "loadeddata", "loadedmetadata", "loadstart", "pause", "play", "playing", "progress",
+  "ratechange", "seeked", "seeking", "stalled", "suspend", "timeupdate", "volumechange", "waiting",
+]);
+
 class VirtualDOM {
   constructor() {
     // Keep a separate virtual tree per container
     this.trees = new WeakMap(); // container -> vnode
-    // Batch renders per microtask
+    // Containers with a rendered tree, so unmount() can find the ones inside an element
+    this.containers = new Set();
+    // Function component instances per container, with the root vnode they were rendered from
+    this.scopes = new WeakMap(); // container -> { vnode, children: Map(slot -> instance) }
+    // Instance whose function is running, for hooks to find their slots
+    this.currentInstance = null;
+    // Effects of the instances rendered for the commit in progress, children first
+    this.pendingEffects = [];
+    // Batch renders by container, committed by priority (see _work)
     this.queue = new Map(); // container -> latest vnode
-    this.scheduled = false;
+    this.priorities = new Map(); // container -> most urgent priority it was queued with
+    // Renders whose components have only partly run, resumed in a later slice
+    this.jobs = new Map(); // container -> { steps, effects }
+    // Priority for renders that don't ask for one; "user" while event handlers run
+    this.currentPriority = null;
+    // Ref callbacks/objects to hand their node once it is in place
+    this.pendingRefs = [];
+    // Delegated event listeners for each container's tree, on the container and on the
+    // targets of its portals, by "<type>:<phase>[:passive]"
+    this.rootListeners = new WeakMap(); // container -> Map(element -> Map(key -> listener))
+    this.eventInfo = new Map(); // prop name -> parsed event prop
+    this.scheduled = { microtask: false, frame: false, idle: false };
   }
 
   createElement(type, props = {}, ...children) {
-    const flat = children
-      .flat()
-      .filter((c) => c !== null && c !== undefined && c !== false && c !== true);
+    // `key` identifies a child among its siblings; it is not passed on as a prop
+    const { key, ...rest } = props || {};
     return {
       type,
-      props: { ...props, children: flat },
+      key: key ?? null,
+      props: { ...rest, children: this._normalizeChildren(children) },
     };
   }
 
-  createDOMElement(vnode) {
+  // Render `vnode` into `target` (e.g. document.body for a modal) while it stays part of
+  // the tree it is rendered in: it updates and unmounts with it, and its events bubble
+  // through the portal's place in that tree rather than through `target`'s ancestors
+  createPortal(vnode, target, key = null) {
+    return { type: Portal, key, props: { target, children: this._normalizeChildren([vnode]) } };
+  }
+
+  _normalizeChildren(children) {
+    return children
+      .flat()
+      .filter((c) => c !== null && c !== undefined && c !== false && c !== true);
+  }
+
+  // Skip re-rendering `component` while its props stay shallow-equal (or `areEqual` says so)
+  memo(component, areEqual) {
+    const Memo = (props) => component(props);
+    Memo._memo = { type: component, compare: areEqual || ((a, b) => this._shallowEqual(a, b)) };
+    return Memo;
+  }
+
+  // Function components and fragments are rendered away before diffing, leaving only
+  // elements and text. A raw vnode is returned as is; anything else becomes a child list.
+  _resolveRoot(container, vnode) {
+    const steps = this._renderRoot(container, vnode);
+    let step = steps.next();
+    while (!step.done) step = steps.next();
+    return step.value;
+  }
+
+  // _resolveRoot one component at a time: the generator pauses after each component
+  // function has run and returns the resolved tree
+  *_renderRoot(container, vnode) {
+    let scope = this.scopes.get(container);
+    if (!scope) {
+      scope = { container, vnode, children: new Map(), seen: new Set() };
+      this.scopes.set(container, scope);
+    }
+    scope.vnode = vnode;
+    scope.seen = new Set();
+    const tree = [];
+    if (!this._isRaw(vnode)) yield* this._resolveChildren(this._rootChildren(vnode), scope, "", tree);
+    this._sweep(scope);
+    return this._isRaw(vnode) ? vnode : tree;
+  }
+
+  // Instances are found again by their slot: the path of keys or positions from the
+  // nearest component (or the container), so siblings of one type keep their own state.
+  *_resolveChildren(children, scope, path, out) {
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      if (!child || typeof child !== "object" || this._isRaw(child)) {
+        out.push(child);
+        continue;
+      }
+      const slot = `${path}${child.key != null ? `k${child.key}` : i}`;
+      if (child.type === Fragment) {
+        const resolved = [];
+        yield* this._resolveChildren(child.props.children || [], scope, `${slot}.`, resolved);
+        out.push(...this._keyOutput(resolved, child.key));
+      } else if (typeof child.type === "function") {
+        out.push(...(yield* this._renderComponent(child, scope, slot)));
+      } else {
+        const resolved = [];
+        yield* this._resolveChildren(child.props.children || [], scope, `${slot}.`, resolved);
+        out.push({ type: child.type, key: child.key ?? null, props: { ...child.props, children: resolved } });
+      }
+    }
+  }
+
+  *_renderComponent(vnode, scope, slot) {
+    let instance = scope.children.get(slot);
+    if (instance && instance.type !== vnode.type) {
+      this._unmount(instance);
+      instance = null;
+    }
+    if (!instance) {
+      instance = { type: vnode.type, props: null, hooks: [], hookIndex: 0, effects: [], output: [], children: new Map(), seen: new Set(), parent: scope, dirty: true };
+      scope.children.set(slot, instance);
+    }
+    scope.seen.add(slot);
+
+    // A render that was given up halfway (see _flushContainer) left `partial` set and its
+    // output stale, so it cannot be reused
+    const memo = vnode.type._memo;
+    if (memo && !instance.dirty && !instance.partial && memo.compare(instance.props, vnode.props)) {
+      return instance.output;
+    }
+    instance.props = vnode.props;
+    instance.dirty = false;
+    instance.partial = true;
+
+    const previous = this.currentInstance;
+    this.currentInstance = instance;
+    instance.hookIndex = 0;
+    let rendered;
+    try {
+      rendered = (memo ? memo.type : vnode.type)(vnode.props);
+    } finally {
+      this.currentInstance = previous;
+    }
+    // A slice may end here; the rest of the tree renders when it resumes
+    yield;
+
+    instance.seen = new Set();
+    const resolved = [];
+    yield* this._resolveChildren(this._normalizeChildren([rendered]), instance, "", resolved);
+    this._sweep(instance);
+    instance.partial = false;
+    // Queued once the subtree has rendered, so children's effects run before their parent's
+    this.pendingEffects.push(...instance.effects);
+    instance.effects = [];
+    instance.output = this._keyOutput(resolved, vnode.key);
+    return instance.output;
+  }
+
+  // A keyed component or fragment lends its key to what it renders, so the output moves with it
+  _keyOutput(nodes, key) {
+    if (key == null) return nodes;
+    return nodes.map((node, i) => (
+      node && typeof node === "object" && !this._isRaw(node) ? { ...node, key: `${key}/${node.key ?? i}` } : node
+    ));
+  }
+
+  // Unmount the instances a render of `scope` no longer reached
+  _sweep(scope) {
+    scope.children.forEach((instance, slot) => {
+      if (scope.seen.has(slot)) return;
+      scope.children.delete(slot);
+      this._unmount(instance);
+    });
+  }
+
+  _unmount(instance) {
+    instance.unmounted = true;
+    instance.hooks.forEach((slot) => {
+      if (slot && typeof slot.unmount === "function") slot.unmount();
+    });
+    instance.children.forEach((child) => this._unmount(child));
+    instance.children.clear();
+  }
+
+  // The calling component's next hook slot, made by `init` on its first render.
+  // A slot's `unmount` method, if it has one, is called when the instance unmounts.
+  hookSlot(init) {
+    const instance = this.currentInstance;
+    if (!instance) return null;
+    const index = instance.hookIndex++;
+    if (!(index in instance.hooks)) instance.hooks[index] = init(instance);
+    return instance.hooks[index];
+  }
+
+  // Run `effect` once the calling component's render is in the document
+  queueEffect(effect) {
+    if (this.currentInstance) this.currentInstance.effects.push(effect);
+  }
+
+  _flushEffects() {
+    const effects = this.pendingEffects;
+    this.pendingEffects = [];
+    effects.forEach((effect) => {
+      try {
+        effect();
+      } catch (e) {
+        console.error("Error in effect:", e);
+      }
+    });
+  }
+
+  // Re-render the container an instance lives in. Memoized ancestors re-render too,
+  // since their cached output holds this instance's old output.
+  invalidate(instance) {
+    if (instance.unmounted) return;
+    let scope = instance;
+    while (scope.parent) {
+      scope.dirty = true;
+      scope = scope.parent;
+    }
+    // A render already queued for the container brings its own root vnode
+    const vnode = this.queue.has(scope.container) ? this.queue.get(scope.container) : scope.vnode;
+    this.render(vnode, scope.container);
+  }
+
+  _shallowEqual(a, b) {
+    if (Object.is(a, b)) return true;
+    if (!a || !b) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => (
+      // createElement makes a new children array every time; compare what is in it
+      key === "children" && Array.isArray(a[key]) && Array.isArray(b[key])
+        ? a[key].length === b[key].length && a[key].every((child, i) => Object.is(child, b[key][i]))
+        : Object.is(a[key], b[key])
+    ));
+  }
+
+  // `namespace` is the one the parent's children are created in, see _childNamespace
+  createDOMElement(vnode, namespace = HTML_NS) {
     if (typeof vnode === "string" || typeof vnode === "number") {
       return document.createTextNode(vnode);
     }
+    if (vnode.type === Portal) {
+      // An empty comment holds the portal's place among its siblings
+      const placeholder = document.createComment("");
+      this._mountPortal(vnode, placeholder);
+      return placeholder;
+    }
 
-    const element = document.createElement(vnode.type);
+    const ns = vnode.type === "svg" ? SVG_NS : vnode.type === "math" ? MATHML_NS : namespace;
+    const element = ns === HTML_NS
+      ? document.createElement(vnode.type)
+      : document.createElementNS(ns, vnode.type);
+    const props = vnode.props || {};
+    this._applyProps(element, props);
+
+    const html = this._innerHTML(props);
+    if (html !== null) {
+      element.innerHTML = html;
+    } else {
+      // Append children
+      (props.children || []).forEach((child) => {
+        element.appendChild(this.createDOMElement(child, this._childNamespace(element)));
+      });
+    }
+    this._syncControlled(element, props);
 
-    // Set properties
-    Object.entries(vnode.props || {}).forEach(([name, value]) => {
-      if (name === "children") return;
-      if (name.startsWith("on")) {
-        element.addEventListener(name.toLowerCase().slice(2), value);
-      } else if (name === 'className') {
-        element.setAttribute('class', value);
-      } else if (name === 'style' && value && typeof value === 'object') {
-        element.setAttribute('style', this._styleToString(value));
-      } else if (typeof value === 'boolean') {
-        if (value) element.setAttribute(name, "");
+    return element;
+  }
+
+  _mountPortal(vnode, placeholder) {
+    const target = vnode.props.target;
+    const nodes = (vnode.props.children || []).map((child) => {
+      const node = this.createDOMElement(child, this._childNamespace(target));
+      target.appendChild(node);
+      return node;
+    });
+    placeholder.__vdomPortal = { target, nodes };
+    this._linkPortal(placeholder);
+  }
+
+  _patchPortal(oldNode, newNode, placeholder) {
+    const portal = placeholder.__vdomPortal;
+    if (newNode.props.target !== portal.target) {
+      this._unmountPortal(oldNode, placeholder);
+      this._mountPortal(newNode, placeholder);
+      return placeholder;
+    }
+    // New nodes go after the portal's own, ahead of whatever was appended to the target since
+    const last = portal.nodes[portal.nodes.length - 1];
+    portal.nodes = this._diffChildren(
+      portal.target,
+      oldNode.props.children || [],
+      newNode.props.children || [],
+      portal.nodes,
+      last ? last.nextSibling : null
+    );
+    this._linkPortal(placeholder);
+    return placeholder;
+  }
+
+  _unmountPortal(vnode, placeholder) {
+    const portal = placeholder.__vdomPortal;
+    (vnode.props.children || []).forEach((child, i) => {
+      const node = portal.nodes[i];
+      this._cleanup(child, node);
+      if (node && node.parentNode) node.parentNode.removeChild(node);
+    });
+    portal.nodes = [];
+  }
+
+  // The portal's top-level nodes lead event dispatch back to the portal's place in the tree
+  _linkPortal(placeholder) {
+    placeholder.__vdomPortal.nodes.forEach((node) => {
+      node.__vdomPortalOwner = placeholder;
+    });
+  }
+
+  // SVG and MathML descendants stay in their namespace; foreignObject switches back to HTML
+  _childNamespace(element) {
+    const ns = element.namespaceURI;
+    if (ns === SVG_NS) return element.localName === "foreignObject" ? HTML_NS : SVG_NS;
+    if (ns === MATHML_NS) return MATHML_NS;
+    return HTML_NS;
+  }
+
+  _applyProps(element, props) {
+    this.updateProps(element, {}, props);
+  }
+
+  // Set, change or (with value undefined) remove one prop
+  _setProp(element, name, value, previous) {
+    if (RESERVED_PROPS.has(name)) return;
+    if (name === "ref") {
+      this._setRef(previous, null);
+      if (value) this.pendingRefs.push([value, element]);
+      return;
+    }
+    if (name.startsWith("on")) {
+      // Kept on the element for the container's delegated listeners, see _dispatchEvent
+      const handlers = element.__vdomHandlers || (element.__vdomHandlers = {});
+      const { handler } = this._eventInfo(name);
+      if (value) handlers[handler] = value;
+      else delete handlers[handler];
+      return;
+    }
+    if (this._isControlled(element, name)) return;
+    if (PROPERTIES.has(name) && name in element) {
+      element[name] = !!value;
+      return;
+    }
+
+    const attr = this._attributeName(name);
+    if (value === undefined || value === null || value === false) {
+      this._removeAttribute(element, attr);
+    } else if (attr === 'style' && typeof value === 'object') {
+      element.setAttribute('style', this._styleToString(value));
+    } else {
+      this._setAttribute(element, attr, value === true ? "" : value);
+    }
+  }
+
+  // onClick -> click in the bubble phase; onClickCapture -> capture phase; a Passive
+  // suffix (onTouchMovePassive, onWheelCapturePassive) listens with { passive: true }
+  _eventInfo(name) {
+    let info = this.eventInfo.get(name);
+    if (!info) {
+      let base = name.slice(2);
+      const passive = base.endsWith("Passive");
+      if (passive) base = base.slice(0, -7);
+      const capture = !EVENT_NAMES[base] && base.endsWith("Capture");
+      if (capture) base = base.slice(0, -7);
+      const type = EVENT_NAMES[base] || base.toLowerCase();
+      const suffix = passive ? ":passive" : "";
+      info = {
+        handler: `${type}:${capture ? "capture" : "bubble"}${suffix}`,
+        // Non-bubbling events reach the container only while capturing
+        listener: `${type}:${capture || NON_BUBBLING_EVENTS.has(type) ? "capture" : "bubble"}${suffix}`,
+      };
+      this.eventInfo.set(name, info);
+    }
+    return info;
+  }
+
+  // Listen on the container, and on the targets of its portals, for exactly the events
+  // their part of the tree has handlers for
+  _syncEvents(container, tree) {
+    const needed = new Map(); // element -> keys
+    const need = (element, key) => {
+      if (!needed.has(element)) needed.set(element, new Set());
+      needed.get(element).add(key);
+    };
+    // `above` holds the ancestors' keys: a portal's events reach those handlers too
+    const collect = (vnode, element, above) => {
+      if (!vnode || typeof vnode !== "object" || !vnode.props) return;
+      if (vnode.type === Portal) {
+        element = vnode.props.target;
+        above.forEach((key) => need(element, key));
+      }
+      const keys = Object.keys(vnode.props)
+        .filter((name) => name.startsWith("on") && vnode.props[name])
+        .map((name) => this._eventInfo(name).listener);
+      keys.forEach((key) => need(element, key));
+      const inner = keys.length ? above.concat(keys) : above;
+      (vnode.props.children || []).forEach((child) => collect(child, element, inner));
+    };
+    if (!this._isRaw(tree)) this._rootChildren(tree).forEach((child) => collect(child, container, []));
+
+    let registered = this.rootListeners.get(container);
+    if (!registered) {
+      if (!needed.size) return;
+      registered = new Map();
+      this.rootListeners.set(container, registered);
+    }
+    registered.forEach((listeners, element) => {
+      const keys = needed.get(element);
+      listeners.forEach((listener, key) => {
+        if (keys && keys.has(key)) return;
+        const [type, phase] = key.split(":");
+        element.removeEventListener(type, listener, phase === "capture");
+        listeners.delete(key);
+      });
+      if (!listeners.size) registered.delete(element);
+    });
+    needed.forEach((keys, element) => {
+      if (!registered.has(element)) registered.set(element, new Map());
+      const listeners = registered.get(element);
+      keys.forEach((key) => {
+        if (listeners.has(key)) return;
+        const [type, phase, passive] = key.split(":");
+        const listener = (event) => this._dispatchEvent(container, event, type, phase === "capture", !!passive);
+        element.addEventListener(type, listener, { capture: phase === "capture", passive: !!passive });
+        listeners.set(key, listener);
+      });
+    });
+  }
+
+  // Run the handlers between the event's target and the container, outermost first while
+  // capturing and innermost first while bubbling. From a portal's content the path continues
+  // at the portal's parent in the tree. Nested containers (and a container and its portal
+  // targets) share the native event, so each handler still runs once, in order.
+  _dispatchEvent(container, event, type, capture, passive) {
+    if (event.__vdomStopped) return;
+    const path = [];
+    let node = event.target;
+    while (node && node !== container) {
+      path.push(node);
+      node = node.__vdomPortalOwner ? node.__vdomPortalOwner.parentNode : node.parentNode;
+    }
+    if (node !== container) return;
+
+    const suffix = passive ? ":passive" : "";
+    const phases = capture
+      ? [[`${type}:capture${suffix}`, path.slice().reverse()]]
+      : [[`${type}:bubble${suffix}`, path]];
+    if (capture && NON_BUBBLING_EVENTS.has(type)) {
+      // Like the native event, bubble-phase handlers only run on the target itself
+      phases.push([`${type}:bubble${suffix}`, path.slice(0, 1)]);
+    }
+
+    const seen = event.__vdomSeen || (event.__vdomSeen = new Map());
+    const state = { currentTarget: null };
+    const synthetic = this._syntheticEvent(event, state);
+    for (const [key, elements] of phases) {
+      for (const element of elements) {
+        const handler = element.__vdomHandlers && element.__vdomHandlers[key];
+        if (!handler) continue;
+        const done = seen.get(element) || new Set();
+        if (done.has(key)) continue;
+        done.add(key);
+        seen.set(element, done);
+
+        state.currentTarget = element;
+        // Renders the handler causes answer the user, so they are not sliced or deferred
+        const priority = this.currentPriority;
+        this.currentPriority = "user";
+        try {
+          handler.call(element, synthetic);
+        } finally {
+          this.currentPriority = priority;
+        }
+        if (event.__vdomStopped) return;
+      }
+    }
+  }
+
+  // The native event, with currentTarget set to the element whose handler is running
+  _syntheticEvent(event, state) {
+    return new Proxy(event, {
+      get: (target, prop) => {
+        if (prop === "currentTarget") return state.currentTarget;
+        if (prop === "nativeEvent") return target;
+        if (prop === "stopPropagation" || prop === "stopImmediatePropagation") {
+          return () => {
+            target.__vdomStopped = true;
+            target[prop]();
+          };
+        }
+        const value = target[prop];
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+      set: (target, prop, value) => {
+        target[prop] = value;
+        return true;
+      },
+    });
+  }
+
+  _isControlled(element, name) {
+    return (name === "value" && FORM_FIELDS.has(element.tagName)) || (name === "checked" && element.tagName === "INPUT");
+  }
+
+  // Hold form fields to their value/checked props. Once the user edits one, it is put back
+  // unless a render is on its way (one that keeps the edit by passing the new value).
+  _syncControlled(element, props) {
+    if (!FORM_FIELDS.has(element.tagName)) return;
+    element.__vdomProps = props;
+    if (props.value != null) this._setValue(element, props.value);
+    if (props.checked != null && element.checked !== !!props.checked) element.checked = !!props.checked;
+
+    if ((props.value != null || props.checked != null) && !element.__vdomControlled) {
+      element.__vdomControlled = true;
+      const restore = () => queueMicrotask(() => {
+        if (!this.queue.size) this._syncControlled(element, element.__vdomProps);
+      });
+      element.addEventListener("input", restore);
+      element.addEventListener("change", restore);
+    }
+  }
+
+  _setValue(element, value) {
+    if (element.tagName === "SELECT") {
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      Array.from(element.options).forEach((option) => {
+        const selected = values.includes(option.value);
+        if (option.selected !== selected) option.selected = selected;
+      });
+      return;
+    }
+
+    const next = String(value);
+    if (element.value === next) return;
+    // Writing value moves the caret to the end; put it back where the user had it
+    let selection = null;
+    try {
+      if (element.ownerDocument.activeElement === element && typeof element.selectionStart === "number") {
+        selection = [element.selectionStart, element.selectionEnd, element.selectionDirection];
+      }
+    } catch (e) {
+      // Input types without a text selection (number, email...)
+    }
+    element.value = next;
+    if (selection) {
+      element.setSelectionRange(Math.min(selection[0], next.length), Math.min(selection[1], next.length), selection[2] || "none");
+    }
+  }
+
+  _innerHTML(props) {
+    const inner = props && props.dangerouslySetInnerHTML;
+    return inner ? String(inner.__html ?? '') : null;
+  }
+
+  _setRef(ref, node) {
+    if (typeof ref === "function") ref(node);
+    else if (ref && typeof ref === "object") ref.current = node;
+  }
+
+  // Refs get their nodes once the whole commit is in the document
+  _flushRefs() {
+    const refs = this.pendingRefs;
+    this.pendingRefs = [];
+    refs.forEach(([ref, node]) => this._setRef(ref, node));
+  }
+
+  // Before `dom`, rendered from vnode, leaves the document: refs in the subtree are set
+  // back to null and the content of its portals, which lives elsewhere, is removed
+  _cleanup(vnode, dom) {
+    if (!vnode || typeof vnode !== "object" || !vnode.props) return;
+    if (vnode.type === Portal) {
+      if (dom && dom.__vdomPortal) this._unmountPortal(vnode, dom);
+      return;
+    }
+    if (vnode.props.ref) this._setRef(vnode.props.ref, null);
+    // An element that was itself rendered into goes with its own tree
+    if (dom && this.containers.has(dom)) this._unmountContainer(dom);
+    const children = dom && this._innerHTML(vnode.props) === null ? dom.childNodes : [];
+    (vnode.props.children || []).forEach((child, i) => this._cleanup(child, children[i]));
+  }
+
+  // className -> class, htmlFor -> for; xlinkHref -> xlink:href, xmlLang -> xml:lang
+  _attributeName(prop) {
+    if (prop === 'className') return 'class';
+    if (prop === 'htmlFor') return 'for';
+    const prefixed = /^(xlink|xml)([A-Z])(.*)$/.exec(prop);
+    return prefixed ? `${prefixed[1]}:${prefixed[2].toLowerCase()}${prefixed[3]}` : prop;
+  }
+
+  _setAttribute(element, attr, value) {
+    const [prefix, local] = attr.split(":");
+    if (local && ATTRIBUTE_NS[prefix]) element.setAttributeNS(ATTRIBUTE_NS[prefix], attr, value);
+    else element.setAttribute(attr, value);
+  }
+
+  _removeAttribute(element, attr) {
+    const [prefix, local] = attr.split(":");
+    if (local && ATTRIBUTE_NS[prefix]) element.removeAttributeNS(ATTRIBUTE_NS[prefix], local);
+    else element.removeAttribute(attr);
+  }
+
+  // Adopt markup already in the container (e.g. from the server's renderToString) as the
+  // rendered tree: matching nodes are kept and patched, anything else is replaced.
+  hydrate(vnode, container) {
+    const tree = this._resolveRoot(container, vnode);
+    this._hydrate(tree, container);
+    this._syncEvents(container, tree);
+    this._flushRefs();
+    this._flushEffects();
+  }
+
+  _hydrate(tree, container) {
+    if (this._isRaw(tree)) {
+      if (container.innerHTML !== tree.__raw) container.innerHTML = tree.__raw || '';
+    } else {
+      this._hydrateChildren(container, this._rootChildren(tree));
+    }
+    this.trees.set(container, tree);
+    this.containers.add(container);
+  }
+
+  _hydrateChildren(parent, children) {
+    let node = parent.firstChild;
+    children.forEach((child) => {
+      if (child && child.type === Portal) {
+        // The server renders nothing for a portal; its content is created in its target
+        parent.insertBefore(this.createDOMElement(child), node);
+        return;
+      }
+      const isText = typeof child === "string" || typeof child === "number";
+      node = this._nextHydratable(node, isText);
+      if (!node) {
+        parent.appendChild(this.createDOMElement(child, this._childNamespace(parent)));
+      } else if (isText && node.nodeType !== Node.TEXT_NODE) {
+        // Empty strings render no text node on the server
+        parent.insertBefore(this.createDOMElement(child), node);
       } else {
-        element.setAttribute(name, value);
+        const next = node.nextSibling;
+        this._hydrateNode(child, node, parent);
+        node = next;
       }
     });
+    // Whatever the vnode has no children for is left over from the server
+    while (node) {
+      const next = node.nextSibling;
+      parent.removeChild(node);
+      node = next;
+    }
+  }
 
-    // Append children
-    (vnode.props.children || []).forEach((child) => {
-      element.appendChild(this.createDOMElement(child));
+  // Text separators (<!-- -->) and formatting whitespace between elements have no vnode
+  _nextHydratable(node, forText) {
+    while (
+      node &&
+      (node.nodeType === Node.COMMENT_NODE ||
+        (!forText && node.nodeType === Node.TEXT_NODE && !node.nodeValue.trim()))
+    ) {
+      const next = node.nextSibling;
+      node.parentNode.removeChild(node);
+      node = next;
+    }
+    return node;
+  }
+
+  _hydrateNode(vnode, node, parent) {
+    if (typeof vnode === "string" || typeof vnode === "number") {
+      if (node.nodeValue !== String(vnode)) node.nodeValue = String(vnode);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.nodeName.toLowerCase() !== String(vnode.type).toLowerCase()) {
+      parent.replaceChild(this.createDOMElement(vnode, this._childNamespace(parent)), node);
+      return;
+    }
+
+    const props = vnode.props || {};
+    const expected = new Set();
+    Object.entries(props).forEach(([name, value]) => {
+      if (RESERVED_PROPS.has(name) || name === "ref" || name.startsWith("on")) return;
+      if (value === undefined || value === null || value === false) return;
+      expected.add(this._attributeName(name));
+    });
+    Array.from(node.attributes).forEach((attr) => {
+      if (!expected.has(attr.name)) node.removeAttribute(attr.name);
     });
+    this._applyProps(node, props);
 
-    return element;
+    const html = this._innerHTML(props);
+    if (html !== null) {
+      if (node.innerHTML !== html) node.innerHTML = html;
+    } else {
+      this._hydrateChildren(node, props.children || []);
+    }
+    this._syncControlled(node, props);
   }
 
   diff(oldNode, newNode, parent, index = 0) {
     if (!oldNode) {
-      parent.appendChild(this.createDOMElement(newNode));
+      parent.appendChild(this.createDOMElement(newNode, this._childNamespace(parent)));
       return;
     }
 
     if (!newNode) {
+      this._cleanup(oldNode, parent.childNodes[index]);
       parent.removeChild(parent.childNodes[index]);
       return;
     }
 
+    this._patch(oldNode, newNode, parent.childNodes[index]);
+    this._flushRefs();
+  }
+
+  // Bring `dom`, rendered from oldNode, up to date with newNode. Returns the node now in its place.
+  _patch(oldNode, newNode, dom) {
+    if (this._isText(oldNode) && this._isText(newNode)) {
+      if (dom.nodeValue !== String(newNode)) dom.nodeValue = String(newNode);
+      return dom;
+    }
+
     if (this.nodeChanged(oldNode, newNode)) {
-      parent.replaceChild(
-        this.createDOMElement(newNode),
-        parent.childNodes[index]
-      );
-      return;
+      this._cleanup(oldNode, dom);
+      const replacement = this.createDOMElement(newNode, this._childNamespace(dom.parentNode));
+      dom.parentNode.replaceChild(replacement, dom);
+      return replacement;
     }
+    if (newNode.type === Portal) return this._patchPortal(oldNode, newNode, dom);
+
+    const oldProps = oldNode.props || {};
+    const newProps = newNode.props || {};
+    this.updateProps(dom, oldProps, newProps);
 
-    // Update properties
-    if (oldNode.props && newNode.props) {
-      this.updateProps(parent.childNodes[index], oldNode.props, newNode.props);
+    const html = this._innerHTML(newProps);
+    const oldHtml = this._innerHTML(oldProps);
+    if (html !== null) {
+      if (oldHtml === null) (oldProps.children || []).forEach((child, i) => this._cleanup(child, dom.childNodes[i]));
+      if (html !== oldHtml) dom.innerHTML = html;
+    } else {
+      // Coming from dangerouslySetInnerHTML, the old markup has no vnodes to diff against
+      if (oldHtml !== null) dom.innerHTML = '';
+      this._diffChildren(dom, oldHtml !== null ? [] : oldProps.children || [], newProps.children || []);
     }
+    this._syncControlled(dom, newProps);
+    return dom;
+  }
 
-    // Recursively diff children
-    const maxLength = Math.max(
-      oldNode.props?.children?.length || 0,
-      newNode.props?.children?.length || 0
-    );
+  // Reconcile a parent's children. Keyed children are matched by key, the rest by order.
+  // Matched nodes are patched in place; only the ones outside the longest run that kept
+  // their relative order get moved, so focus and element state survive reordering.
+  // A portal passes the nodes it owns in its target, and the node they end before.
+  // Returns the nodes rendered from newChildren, in order.
+  _diffChildren(parent, oldChildren, newChildren, oldNodes = Array.from(parent.childNodes), end = null) {
+    const byKey = new Map(); // key -> old index
+    const unkeyed = []; // old indexes without a key, in order
+    oldChildren.forEach((child, i) => {
+      const key = this._key(child);
+      if (key !== null && !byKey.has(key)) byKey.set(key, i);
+      else if (key === null) unkeyed.push(i);
+    });
+
+    // Old index each new child reuses, or -1 for a new node
+    const used = new Array(oldChildren.length).fill(false);
+    let nextUnkeyed = 0;
+    const sources = newChildren.map((child) => {
+      const key = this._key(child);
+      const i = key !== null ? byKey.get(key) : unkeyed[nextUnkeyed++];
+      if (i === undefined || used[i] || !this._sameType(oldChildren[i], child)) return -1;
+      used[i] = true;
+      return i;
+    });
+
+    oldChildren.forEach((child, i) => {
+      if (used[i] || !oldNodes[i]) return;
+      this._cleanup(child, oldNodes[i]);
+      parent.removeChild(oldNodes[i]);
+    });
+
+    // Place from the end, each node before the one that follows it
+    const stable = this._stablePositions(sources);
+    const nodes = new Array(newChildren.length);
+    let anchor = end;
+    for (let j = newChildren.length - 1; j >= 0; j--) {
+      let dom;
+      if (sources[j] === -1) {
+        dom = this.createDOMElement(newChildren[j], this._childNamespace(parent));
+        parent.insertBefore(dom, anchor);
+      } else {
+        dom = this._patch(oldChildren[sources[j]], newChildren[j], oldNodes[sources[j]]);
+        if (!stable.has(j)) parent.insertBefore(dom, anchor);
+      }
+      nodes[j] = dom;
+      anchor = dom;
+    }
+    return nodes;
+  }
+
+  // Positions whose old indexes form the longest increasing subsequence; those nodes stay put
+  _stablePositions(sources) {
+    const tails = []; // tails[n]: position ending the best run of length n + 1
+    const previous = new Array(sources.length);
+    sources.forEach((value, j) => {
+      if (value === -1) return;
+      let lo = 0;
+      let hi = tails.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sources[tails[mid]] < value) lo = mid + 1;
+        else hi = mid;
+      }
+      previous[j] = lo > 0 ? tails[lo - 1] : -1;
+      tails[lo] = j;
+    });
 
-    for (let i = 0; i < maxLength; i++) {
-      this.diff(
-        oldNode.props?.children?.[i],
-        newNode.props?.children?.[i],
-        parent.childNodes[index],
-        i
-      );
+    const stable = new Set();
+    for (let j = tails.length ? tails[tails.length - 1] : -1; j !== -1; j = previous[j]) {
+      stable.add(j);
     }
+    return stable;
+  }
+
+  _key(vnode) {
+    return vnode && typeof vnode === "object" && vnode.key != null ? vnode.key : null;
+  }
+
+  _isText(vnode) {
+    return typeof vnode === "string" || typeof vnode === "number";
+  }
+
+  _sameType(node1, node2) {
+    return (this._isText(node1) && this._isText(node2)) || !this.nodeChanged(node1, node2);
   }
 
   nodeChanged(node1, node2) {
@@ -99,104 +884,214 @@ class VirtualDOM {
   updateProps(element, oldProps, newProps) {
     // Remove old properties
     Object.keys(oldProps).forEach((key) => {
-      if (key === "children") return;
-      if (!(key in newProps)) {
-        if (key.startsWith("on")) {
-          element.removeEventListener(
-            key.toLowerCase().slice(2),
-            oldProps[key]
-          );
-        } else {
-          const attr = key === 'className' ? 'class' : key;
-          element.removeAttribute(attr);
-        }
-      }
+      if (!(key in newProps)) this._setProp(element, key, undefined, oldProps[key]);
     });
 
     // Set new properties
     Object.entries(newProps).forEach(([key, value]) => {
-      if (key === "children") return;
-      if (oldProps[key] !== value) {
-        if (key.startsWith("on")) {
-          if (oldProps[key]) {
-            element.removeEventListener(
-              key.toLowerCase().slice(2),
-              oldProps[key]
-            );
-          }
-          element.addEventListener(key.toLowerCase().slice(2), value);
-        } else {
-          const attr = key === 'className' ? 'class' : key;
-          if (attr === 'style' && value && typeof value === 'object') {
-            element.setAttribute('style', this._styleToString(value));
-          } else if (typeof value === 'boolean') {
-            if (value) element.setAttribute(attr, ""); else element.removeAttribute(attr);
-          } else {
-            element.setAttribute(attr, value);
-          }
-        }
-      }
+      if (oldProps[key] !== value) this._setProp(element, key, value, oldProps[key]);
     });
   }
 
   render(vnode, container, options = {}) {
     // Queue and batch renders by container
+    const name = (options && options.priority) || this.currentPriority || "default";
+    const priority = PRIORITIES[name] ?? PRIORITIES.default;
+    const queued = this.priorities.get(container);
     this.queue.set(container, vnode);
+    this.priorities.set(container, queued === undefined ? priority : Math.min(priority, queued));
     if (options && options.sync) {
-      this._flush();
+      this.flushSync();
     } else {
       this._schedule();
     }
   }
 
+  // Run `fn`, then commit every queued render before returning
+  flushSync(fn) {
+    if (fn) {
+      const priority = this.currentPriority;
+      this.currentPriority = "user";
+      try {
+        fn();
+      } finally {
+        this.currentPriority = priority;
+      }
+    }
+    // Commits can queue more renders (refs, component state), so go until none are left
+    while (this.priorities.size) {
+      Array.from(this.priorities.keys()).forEach((container) => this._flushContainer(container));
+    }
+  }
+
+  // User and default renders start in a microtask, idle ones when the browser is idle.
+  // Default work that ran out of time waits for the next frame.
   _schedule() {
-    if (this.scheduled) return;
-    this.scheduled = true;
-    queueMicrotask(() => this._flush());
+    let urgent = false;
+    let normal = false;
+    let idle = false;
+    this.priorities.forEach((priority) => {
+      if (priority === PRIORITIES.user) urgent = true;
+      else if (priority === PRIORITIES.default) normal = true;
+      else idle = true;
+    });
+
+    if ((urgent || (normal && !this.scheduled.frame)) && !this.scheduled.microtask) {
+      this.scheduled.microtask = true;
+      queueMicrotask(() => {
+        this.scheduled.microtask = false;
+        this._work(PRIORITIES.default);
+      });
+    }
+    if (idle && !this.scheduled.idle) {
+      this.scheduled.idle = true;
+      const requestIdle = window.requestIdleCallback
+        || ((callback) => setTimeout(() => callback({ timeRemaining: () => SLICE_BUDGET }), 1));
+      requestIdle((deadline) => {
+        this.scheduled.idle = false;
+        this._work(PRIORITIES.idle, deadline);
+      }, { timeout: 1000 });
+    }
   }
 
-  _flush() {
-    if (!this.queue.size) { this.scheduled = false; return; }
-    const entries = Array.from(this.queue.entries());
-    this.queue.clear();
-    this.scheduled = false;
-    for (const [container, vnode] of entries) {
-      this._commit(container, vnode);
+  // Render and commit queued containers, most urgent first. User renders always finish;
+  // the rest stop once the slice is used up, between containers or between the components
+  // of one container, and carry on later. A container's DOM changes are never split.
+  _work(level, deadline) {
+    const start = performance.now();
+    const outOfTime = () => (deadline ? deadline.timeRemaining() < 1 : performance.now() - start > SLICE_BUDGET);
+    // Every slice gets some rendering done, so work gets done even on a busy page
+    let worked = false;
+    try {
+      const levels = level === PRIORITIES.idle ? [PRIORITIES.idle] : [PRIORITIES.user, PRIORITIES.default];
+      for (const priority of levels) {
+        const containers = Array.from(this.priorities.keys()).filter((c) => this.priorities.get(c) === priority);
+        for (const container of containers) {
+          // A more urgent render may have taken it already
+          if (this.priorities.get(container) !== priority) continue;
+          const sliced = priority !== PRIORITIES.user;
+          if ((sliced && worked && outOfTime()) || !this._flushContainer(container, sliced ? outOfTime : null)) {
+            if (priority === PRIORITIES.default) this._nextFrame();
+            return;
+          }
+          worked = true;
+        }
+      }
+    } finally {
+      if (this.priorities.size) this._schedule();
     }
   }
 
-  _commit(container, vnode) {
+  _nextFrame() {
+    if (this.scheduled.frame) return;
+    this.scheduled.frame = true;
+    const requestFrame = window.requestAnimationFrame || ((callback) => setTimeout(callback, 16));
+    requestFrame(() => {
+      this.scheduled.frame = false;
+      this._work(PRIORITIES.default);
+    });
+  }
+
+  // Render the container's components, stopping between two of them once `outOfTime()`
+  // says so, then commit the result in one go. Returns false when it stopped early; the
+  // next call resumes there, or starts over when a newer render was queued meanwhile.
+  _flushContainer(container, outOfTime = null) {
+    if (!this.priorities.has(container)) return true;
+    let job = this.jobs.get(container);
+    let step = { done: false };
+    const outer = this.pendingEffects;
+    try {
+      do {
+        if (!job || this.queue.has(container)) {
+          // Effects queued by a render that was given up belong to the hook slots it
+          // updated, so they still run with the render that replaces it
+          job = { steps: this._renderRoot(container, this.queue.get(container)), effects: job ? job.effects : [] };
+          this.jobs.set(container, job);
+          this.queue.delete(container);
+        }
+        // Effects go with this render, not with whichever container commits first
+        this.pendingEffects = job.effects;
+        step = job.steps.next();
+      } while (!step.done && !(outOfTime && outOfTime()));
+    } catch (e) {
+      // A component threw: drop the render, as a failed commit would be
+      this.jobs.delete(container);
+      this.priorities.delete(container);
+      throw e;
+    } finally {
+      this.pendingEffects = outer;
+    }
+    if (!step.done) return false;
+
+    this.jobs.delete(container);
+    this.priorities.delete(container);
+    // A hook queued again by the render that replaced a given-up one runs once
+    this.pendingEffects.push(...new Set(job.effects));
+    this._commit(container, step.value);
+    return true;
+  }
+
+  _commit(container, tree) {
     const prev = this.trees.get(container);
 
-    // Initial render clears SSR content
     if (prev === undefined) {
+      // Initial render adopts server-rendered content instead of clearing it
+      this._hydrate(tree, container);
+    } else if (this._isRaw(tree)) {
+      // Handle raw HTML vnodes by writing innerHTML directly
+      if (!this._isRaw(prev)) {
+        this._rootChildren(prev).forEach((child, i) => this._cleanup(child, container.childNodes[i]));
+      }
+      container.innerHTML = tree.__raw || '';
+    } else if (this._isRaw(prev)) {
+      // Transition from raw -> vnode: clear and rebuild
       container.innerHTML = '';
+      tree.forEach((child) => {
+        container.appendChild(this.createDOMElement(child, this._childNamespace(container)));
+      });
+    } else {
+      // Diff existing tree
+      this._diffChildren(container, this._rootChildren(prev), tree);
     }
+    this.trees.set(container, tree);
+    this.containers.add(container);
+    this._syncEvents(container, tree);
+    this._flushRefs();
+    this._flushEffects();
+  }
 
-    // Handle raw HTML vnodes by writing innerHTML directly
-    if (this._isRaw(vnode)) {
-      container.innerHTML = vnode.__raw || '';
-      this.trees.set(container, vnode);
-      return;
-    }
+  // Tear down what was rendered into `container` and into any container inside it, before
+  // their markup is replaced or dropped: components unmount (running effect cleanups),
+  // queued renders are dropped, refs get null, portals are emptied and delegated listeners
+  // are removed. The rendered nodes themselves are left for the caller to replace.
+  unmount(container) {
+    this.containers.forEach((root) => {
+      if (root === container || container.contains(root)) this._unmountContainer(root);
+    });
+  }
 
-    if (prev === undefined) {
-      container.appendChild(this.createDOMElement(vnode));
-      this.trees.set(container, vnode);
-      return;
+  _unmountContainer(container) {
+    this.containers.delete(container);
+    this.queue.delete(container);
+    this.priorities.delete(container);
+    this.jobs.delete(container);
+    const scope = this.scopes.get(container);
+    if (scope) {
+      scope.children.forEach((instance) => this._unmount(instance));
+      this.scopes.delete(container);
     }
-
-    if (this._isRaw(prev)) {
-      // Transition from raw -> vnode: clear and rebuild
-      container.innerHTML = '';
-      container.appendChild(this.createDOMElement(vnode));
-      this.trees.set(container, vnode);
-      return;
+    const tree = this.trees.get(container);
+    this.trees.delete(container);
+    if (tree !== undefined && !this._isRaw(tree)) {
+      this._rootChildren(tree).forEach((child, i) => this._cleanup(child, container.childNodes[i]));
     }
+    this._syncEvents(container, []);
+    this.rootListeners.delete(container);
+  }
 
-    // Diff existing tree
-    this.diff(prev, vnode, container);
-    this.trees.set(container, vnode);
+  // An array renders as the container's own children, reconciled like any other child list
+  _rootChildren(vnode) {
+    return Array.isArray(vnode) ? this._normalizeChildren(vnode) : [vnode];
   }
 
   _isRaw(vnode) {
@@ -221,3 +1116,19 @@ window.ReactExpress.createElement = (type, props, ...children) => {
   return window.ReactExpress.vdom.createElement(type, props, ...children);
 };
 window.ReactExpress.vdom = new VirtualDOM();
+window.ReactExpress.Fragment = Fragment;
+window.ReactExpress.memo = (component, areEqual) => {
+  return window.ReactExpress.vdom.memo(component, areEqual);
+};
+window.ReactExpress.createPortal = (vnode, target, key) => {
+  return window.ReactExpress.vdom.createPortal(vnode, target, key);
+};
+window.ReactExpress.flushSync = (fn) => {
+  return window.ReactExpress.vdom.flushSync(fn);
+};
+window.ReactExpress.unmount = (container) => {
+  return window.ReactExpress.vdom.unmount(container);
+};
+window.ReactExpress.hydrate = (vnode, container) => {
+  return window.ReactExpress.vdom.hydrate(vnode, container);
+};
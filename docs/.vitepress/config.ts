@@ -23,11 +23,14 @@ export default defineConfig({
           { text: 'Forms', link: '/forms' },
           { text: 'Hot Module Replacement', link: '/hmr' },
           { text: 'Hooks', link: '/hooks' },
+          { text: 'Layouts', link: '/layouts' },
+          { text: 'View Engines', link: '/view-engines' },
           { text: 'Lifecycle', link: '/lifecycle' },
           { text: 'Router', link: '/router' },
           { text: 'State Management', link: '/state-management' },
           { text: 'Reactive State', link: '/reactive-state' },
           { text: 'State', link: '/state' },
+          { text: 'Server State', link: '/server-state' },
           { text: 'Suspense', link: '/suspense' },
           { text: 'Virtual DOM', link: '/vdom' },
           { text: 'Animations', link: '/animations' },
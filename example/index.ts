@@ -19,7 +19,9 @@ app.set("view engine", "ejs");
 
 const middleware = reactExpress({
     viewsDir: path.join(__dirname, 'views'),
-    hmr: true
+    hmr: true,
+    // Router demo pages share a layout; only its content slot changes between them
+    layouts: { '/page-a': 'layouts/pages', '/page-b': 'layouts/pages' }
 });
 
 // Apply the middleware
@@ -2,85 +2,202 @@ import type { Express, Request, Response, NextFunction } from 'express';
 import { Server as HTTPServer } from 'http';
 import { Server as SocketServer } from 'socket.io';
 import * as chokidar from 'chokidar';
-import * as ejs from 'ejs';
 import * as path from 'path';
 import express from 'express';
+import { randomUUID } from 'crypto';
 import { ScriptProcessor } from './utils/scriptProcessor.js';
+import { StateManager, StateDelta } from './utils/stateManager.js';
+import { StateScopes, SessionOptions } from './utils/stateScopes.js';
+import { StatePersistence, PersistenceOptions } from './utils/persistence.js';
+import { StatePolicy, StatePolicyOptions, WriteRejection, ConflictStrategy } from './utils/statePolicy.js';
+import { applyPatch, diff, isContainer } from './utils/jsonPatch.js';
+import { CrdtType } from './utils/crdt.js';
+import { PartialPageExtractor, PARTIAL_HEADER, LAYOUTS_HEADER } from './utils/partialPage.js';
+import { Layouts, LayoutMap, createBlocks, sharedLayouts } from './utils/layouts.js';
+import { SuspenseStream, DeferredData, settle } from './utils/streaming.js';
+import { EngineAdapter, EngineName, resolveEngine, findTemplate } from './utils/engines.js';
+import { createElement, renderToString, Fragment } from './utils/vdom.js';
+import { Connection, Transport, TransportName, SocketIoTransport, SseTransport, MultiTransport } from './utils/transport.js';
+
+export {
+  MemoryStorageAdapter,
+  JsonFileStorageAdapter,
+  SqliteStorageAdapter
+} from './utils/persistence.js';
+export type { StorageAdapter, PersistenceOptions, PersistedState, StateChange } from './utils/persistence.js';
+export { applyPatch, diff as diffPatch, PatchError } from './utils/jsonPatch.js';
+export type { PatchOperation } from './utils/jsonPatch.js';
+export { CounterCrdt, LwwMapCrdt, ListCrdt, TextCrdt, CrdtError } from './utils/crdt.js';
+export type { Crdt, CrdtType } from './utils/crdt.js';
+export type { Connection, Transport, TransportName } from './utils/transport.js';
+export type { PartialPage } from './utils/partialPage.js';
+export type { LayoutMap, LayoutOption, BlockFn } from './utils/layouts.js';
+export { loader } from './utils/loaders.js';
+export type { LoaderFn } from './utils/loaders.js';
+export type { DeferredData } from './utils/streaming.js';
+export type { EngineAdapter, EngineName, EngineRender } from './utils/engines.js';
+export { createElement, renderToString, Fragment, memo } from './utils/vdom.js';
+export type { VNode, VNodeChild, Component } from './utils/vdom.js';
+export type {
+  StatePolicyOptions,
+  KeyPolicy,
+  StateValidator,
+  WriteRejection,
+  StateConflict,
+  ConflictResolver,
+  ConflictStrategy
+} from './utils/statePolicy.js';
 
 declare global {
   namespace Express {
     interface Request {
       reactState: StateManager;
+      reactScopes: StateScopes;
       isAjax: boolean;
+      // Router navigation asking for just the `[data-content]` region
+      isPartial: boolean;
+      // Result of the route's `loader()`, if it has one
+      loaderData?: any;
     }
   }
 }
 
-class StateManager {
-  private state: Map<string, any> = new Map();
-  private subscribers: Set<(key: string, value: any) => void> = new Set();
-
-
-  getStates() {
-    return this.state;
-  }
-
-  setState(key: string, value: any) {
-    this.state.set(key, value);
-    this.notifySubscribers(key, value);
-  }
-
-  getState(key: string) {
-    return this.state.get(key);
-  }
-
-  subscribe(callback: (key: string, value: any) => void) {
-    this.subscribers.add(callback);
-    return () => this.subscribers.delete(callback);
-  }
-
-  private notifySubscribers(key: string, value: any) {
-    this.subscribers.forEach(callback => callback(key, value));
-  }
-}
-
 interface ReactExpressOptions {
   viewsDir?: string;
+  // Template engines to register; the first is the default `view engine` unless the app set one
+  engines?: (EngineName | EngineAdapter)[];
   hmr?: boolean;
   devTools?: boolean;
+  // Use the app's own Socket.IO server instead of creating one
+  io?: SocketServer;
+  // Socket.IO namespace for all `state:*` and `hmr:*` events (default: `/`)
+  namespace?: string;
+  // Where the client bundle and dev routes are mounted (default: `/__react-express`)
+  basePath?: string;
+  // Layout views by route prefix; nested prefixes nest their layouts (e.g. `{ '/': 'layouts/main', '/admin': 'layouts/admin' }`)
+  layouts?: LayoutMap;
+  // `socket.io`, `sse` (Server-Sent Events down, POST up), or `auto`: both, clients fall back to SSE
+  transport?: TransportName;
+  // Per-session state: `true` uses an `rx.sid` cookie
+  session?: boolean | SessionOptions;
+  // Decide whether a connection may join a named state room
+  authorizeRoom?: (socket: Connection, room: string) => boolean | Promise<boolean>;
+  // Load state on boot and write it back through a storage adapter
+  persistence?: PersistenceOptions;
+  // Per-key rules for client writes (read-only, server-only, validators, canWrite)
+  statePolicy?: StatePolicyOptions;
+  // What to do with a client write based on an outdated version of a key
+  conflicts?: ConflictStrategy;
+  // Embed server state in rendered pages; a function picks keys per scope
+  hydrate?: boolean | ((key: string, scopeId: string) => boolean);
+  // Exchange JSON Patches (RFC 6902) instead of whole values for object/array keys
+  patches?: boolean;
+  // Conflict-free shared keys, declared in every scope (e.g. `{ todos: 'list' }`)
+  crdts?: Record<string, CrdtType>;
+  // How long a streamed `data-suspense` region may wait for its deferred data (ms)
+  suspenseTimeout?: number;
 }
 
 // Default options
 const defaultOptions: ReactExpressOptions = {
   viewsDir: 'views',
+  engines: ['ejs'],
+  namespace: '/',
+  basePath: '/__react-express',
+  transport: 'socket.io',
+  hydrate: true,
+  suspenseTimeout: 10000,
+  conflicts: 'reject',
   hmr: process.env.NODE_ENV !== 'production',
   devTools: process.env.NODE_ENV !== 'production'
 };
 
 export function reactExpress(options: ReactExpressOptions = {}) {
-  const state = new StateManager();
-  let io: SocketServer | null = null;
+  let ioServer: SocketServer | null = null;
+  let transport: Transport | null = null;
 
   // Merge options with defaults
   const mergedOptions = { ...defaultOptions, ...options };
 
+  const sessionOptions = mergedOptions.session === true
+    ? {}
+    : mergedOptions.session || null;
+  const scopes = new StateScopes(sessionOptions);
+  const policy = new StatePolicy(mergedOptions.statePolicy);
+  const conflicts = mergedOptions.conflicts || 'reject';
+  const basePath = `/${(mergedOptions.basePath || '/__react-express').replace(/^\/+|\/+$/g, '')}`;
+  const namespace = mergedOptions.namespace || '/';
+  const transportName = mergedOptions.transport || 'socket.io';
+  const layouts = new Layouts(mergedOptions.layouts);
+  const suspenseTimeout = mergedOptions.suspenseTimeout || 10000;
+  // Templates can server-render VDOM markup that the client hydrates: <%- renderToString(createElement(...)) %>
+  const viewHelpers = { createElement, renderToString, Fragment };
+
+  // Declare shared keys before persisted values are loaded into the scopes
+  if (mergedOptions.crdts) {
+    const crdts = Object.entries(mergedOptions.crdts);
+    scopes.onScope((scope) => crdts.forEach(([key, type]) => scope.declare(key, type)));
+  }
+
+  const persistence = mergedOptions.persistence
+    ? new StatePersistence(scopes, mergedOptions.persistence)
+    : null;
+  const ready = persistence
+    ? persistence.start().catch((err) => console.error('Error loading persisted state:', err))
+    : Promise.resolve();
+
+  // Values a page starts with: global state, the request's session, then per-render `state`.
+  // Keys are the client's store keys: with sessions, global values go under `global/<key>`.
+  const initialState = (req: Request | undefined, renderState: any) => {
+    const values: Record<string, any> = {};
+    if (mergedOptions.hydrate) {
+      const sources = [scopes.global];
+      // Looked up rather than created: a session that never stored anything has nothing to add
+      const scope = req && scopes.findForRequest(req);
+      if (scope && scope !== scopes.global) sources.push(scope);
+      sources.forEach((scope) => {
+        const prefix = scope === scopes.global && scopes.sessionsEnabled ? 'global/' : '';
+        scope.getStates().forEach((value, key) => {
+          if (policy.isServerOnly(key)) return;
+          if (typeof mergedOptions.hydrate === 'function' && !mergedOptions.hydrate(key, scope.scope)) return;
+          values[prefix + key] = value;
+        });
+      });
+    }
+    if (renderState && typeof renderState === 'object') {
+      Object.assign(values, renderState);
+    }
+    return values;
+  };
+
   return function(app: Express) {
-    // Set up EJS
-    app.set('view engine', 'ejs');
+    // Hold requests until persisted state has been loaded
+    if (persistence) {
+      app.use((req: Request, res: Response, next: NextFunction) => {
+        ready.then(() => next());
+      });
+    }
+
+    // Register template engines; an engine the app already chose stays the default
+    const engines = (mergedOptions.engines?.length ? mergedOptions.engines : ['ejs' as const]).map(resolveEngine);
+    engines.forEach(engine => app.engine(engine.ext, engine.render));
+    if (!app.get('view engine')) {
+      app.set('view engine', engines[0].ext);
+    }
     if (mergedOptions.viewsDir) {
       app.set('views', mergedOptions.viewsDir);
     }
 
     // Inject client-side code
-    app.use('/__react-express', express.static(path.join(__dirname, '../dist')));
-    app.use('/__react-express', express.static(path.join(__dirname, '../client')));
+    app.use(basePath, express.static(path.join(__dirname, '../dist')));
+    app.use(basePath, express.static(path.join(__dirname, '../client')));
 
     // Handle placeholder template requests (dev-only, HMR)
     if (mergedOptions.hmr) {
-      app.get('/__react-express/placeholder/*', (req, res) => {
+      app.get(`${basePath}/placeholder/*`, (req, res) => {
         // Derive relative template path
         const rawPath = req.path
-          .replace('/__react-express/placeholder', '')
+          .replace(`${basePath}/placeholder`, '')
           .replace(/^\//, '');
 
         const viewsDir = mergedOptions.viewsDir || app.get('views');
@@ -94,29 +211,52 @@ export function reactExpress(options: ReactExpressOptions = {}) {
           return;
         }
 
-        // Render the placeholder template
-        app.render(normalized, { ...mergedOptions, __reactExpressState: state }, (err, html) => {
-          if (err) {
+        // Any registered engine may own the template, the default one first
+        const extensions = [app.get('view engine'), ...Object.keys((app as any).engines)].filter(Boolean);
+        const template = findTemplate(viewsDir, normalized, extensions);
+        if (!template) {
+          res.status(404).send('');
+          return;
+        }
+
+        // Render the placeholder template inside the layouts its page would get
+        const locals = { ...viewHelpers, ...mergedOptions, block: createBlocks(), __reactExpressState: scopes.forTemplate(req) };
+        const render = app.render.bind(app);
+        new Promise<string>((resolve, reject) => render(template, locals, (err, html) => (err ? reject(err) : resolve(html))))
+          .then(html => layouts.wrap(render, layouts.chainFor(`/${rawPath}`), html, locals))
+          .then(html => res.send(html), (err) => {
             console.error('Error loading placeholder:', err);
             res.status(404).send('');
-            return;
-          }
-          res.send(html);
-        });
+          });
       });
     }
 
     
 
-    // Add state manager to request object
+    // Add state manager to request object, resolved to the session scope when enabled
     app.use((req: Request, res: Response, next: NextFunction) => {
-      req.reactState = state;
+      if (scopes.sessionsEnabled && !sessionOptions?.resolve && !scopes.sessionId(req)) {
+        const sid = randomUUID();
+        res.cookie(scopes.sessionCookie, sid, { httpOnly: true, sameSite: 'lax', path: '/' });
+        // Make the new id visible to this request as well
+        req.headers.cookie = `${req.headers.cookie ? req.headers.cookie + '; ' : ''}${scopes.sessionCookie}=${sid}`;
+      }
+      req.reactScopes = scopes;
+      // The session scope is only created once a handler actually uses it
+      let reactState: StateManager | undefined;
+      Object.defineProperty(req, 'reactState', {
+        configurable: true,
+        enumerable: true,
+        get: () => (reactState ??= scopes.forRequest(req)),
+        set: (value: StateManager) => { reactState = value; }
+      });
       next();
     });
 
     // Add middleware to detect AJAX requests
     app.use((req: Request, res: Response, next: NextFunction) => {
       req.isAjax = req.xhr || (req.headers['x-requested-with'] === 'XMLHttpRequest');
+      req.isPartial = req.headers[PARTIAL_HEADER] === '1';
       next();
     });
 
@@ -129,33 +269,83 @@ export function reactExpress(options: ReactExpressOptions = {}) {
         options = {};
       }
 
+      const block = createBlocks();
+      const locals = { ...viewHelpers, ...options, block, __reactExpressState: this.req ? scopes.forTemplate(this.req) : scopes.global };
+      const chain = layouts.chainFor(this.req?.path || '/', options.layout);
+
       // Create wrapper callback that will inject our client code
       const wrappedCallback = (err: Error | null, html: string) => {
+        // Engines that render asynchronously report errors outside the route, so hand them to next()
         if (err) {
-          if (callback) {
-            callback(err, html);
-          } else {
-            throw err;
-          }
+          fail(err);
+          return;
+        }
+
+        if (!chain.length) {
+          finish(html);
+          return;
+        }
+        // Layouts render after the view, so they see the blocks it filled in
+        layouts.wrap(this.app.render.bind(this.app), chain, html, { ...this.locals, ...locals })
+          .then(finish, fail);
+      };
+
+      const fail = (renderErr: Error) => (callback ? callback(renderErr, '') : this.req.next!(renderErr));
+
+      // Deferred data streams into its `data-suspense` regions after the page is sent.
+      // Partials and render callbacks need the whole page at once, so they wait for it.
+      const deferred: DeferredData | null = options.deferred && typeof options.deferred === 'object' ? options.deferred : null;
+      const finish = (html: string) => {
+        if (deferred && Object.keys(deferred).length && (callback || this.req?.isPartial)) {
+          SuspenseStream.resolveAll(html, deferred, suspenseTimeout).then(resolved => send(resolved, false), fail);
           return;
         }
+        send(html, !!deferred && Object.keys(deferred).length > 0);
+      };
+
+      const send = (html: string, stream: boolean) => {
+        // Router navigations get the changed region and a manifest; the page around it stays
+        this.vary(PARTIAL_HEADER);
+        this.vary(LAYOUTS_HEADER);
+        if (this.req?.isPartial && !callback) {
+          const region = partialRegion(chain, this.req.headers[LAYOUTS_HEADER]);
+          const partial = region === null
+            ? null
+            : PartialPageExtractor.extract(html, initialState(this.req, options.state), region, chain, this.req.loaderData);
+          if (partial) {
+            this.json(partial);
+            return;
+          }
+        }
 
         // Process scripts in the HTML
         const { processedHtml } = ScriptProcessor.processScripts(html);
 
-        // Inject our client-side code
+        // Inject our client-side code; the socket connects to our namespace on the server's path
+        const socketPath = ioServer ? ioServer.path() : '/socket.io';
+        const useSocketIo = transportName === 'socket.io' || (transportName === 'auto' && !!ioServer);
+        const connection = {
+          transport: useSocketIo ? transportName : 'sse',
+          namespace,
+          path: socketPath,
+          url: `${basePath}/events`
+        };
         const injectedHtml = processedHtml.replace(
           '</head>', 
-          `${mergedOptions.hmr ? '<script src="/socket.io/socket.io.js" defer></script>' : ''}
+          `${mergedOptions.hmr && useSocketIo ? `<script src="${socketPath}/socket.io.js" defer></script>` : ''}
+          <script type="application/json" id="__react-express-state">${serializeForScript(initialState(this.req, options.state))}</script>
+          ${this.req?.loaderData !== undefined ? `<script type="application/json" id="__react-express-loader">${serializeForScript(this.req.loaderData)}</script>` : ''}
           <script type="module" defer>
             // Dev flag for client (used by Error Overlay and dev-only features)
             window.ReactExpress = window.ReactExpress || {};
             window.ReactExpress.__DEV__ = ${mergedOptions.hmr ? 'true' : 'false'};
+            window.ReactExpress.basePath = ${serializeForScript(basePath)};
+            window.ReactExpress.defaultScope = ${serializeForScript(scopes.sessionsEnabled ? 'session' : 'global')};
 
-            const socket = ${mergedOptions.hmr ? 'io()' : 'null'};
-            
             // Import bundled ReactExpress
-            import '/__react-express/react-express.bundle.js';
+            import ${serializeForScript(`${basePath}/react-express.bundle.js`)};
+
+            const socket = ${mergedOptions.hmr ? `ReactExpress.connect(${serializeForScript(connection)})` : 'null'};
             
             // Initialize components
             await ReactExpress.initState(socket);
@@ -167,6 +357,8 @@ export function reactExpress(options: ReactExpressOptions = {}) {
         if (callback) {
             //@ts-ignore
           callback(null, injectedHtml);
+        } else if (stream) {
+          streamPage(this, injectedHtml, deferred!);
         } else {
           this.send(injectedHtml);
         }
@@ -174,14 +366,46 @@ export function reactExpress(options: ReactExpressOptions = {}) {
 
       // Call original render with our wrapped callback
       //@ts-ignore
-      originalRender.call(this, view, { ...options, __reactExpressState: state }, wrappedCallback);
+      originalRender.call(this, view, locals, wrappedCallback);
+    };
+
+    // Flush the page up to </body>, then each region's fragment as its data settles
+    const streamPage = (res: Response, html: string, deferred: DeferredData) => {
+      const { shell, regions } = SuspenseStream.prepare(html, Object.keys(deferred));
+      const bodyEnd = shell.lastIndexOf('</body>');
+      const head = bodyEnd === -1 ? shell : shell.slice(0, bodyEnd);
+      const tail = bodyEnd === -1 ? '' : shell.slice(bodyEnd);
+      // Let compression middleware push each chunk out instead of buffering it
+      const flush = () => (res as any).flush?.();
+
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('X-Accel-Buffering', 'no');
+      res.write(head);
+      flush();
+
+      Promise.all(regions.map(({ name, template }) => settle(deferred[name], suspenseTimeout).then((result) => {
+        const fragment = 'error' in result
+          ? ''
+          : SuspenseStream.fragment(name, SuspenseStream.bind(template, result.data));
+        const args = 'error' in result
+          ? [name, null, result.error]
+          : [name, result.data === undefined ? null : result.data, null];
+        res.write(`${fragment}<script>window.ReactExpress.stream.resolve(${args.map(serializeForScript).join(', ')})</script>\n`);
+        flush();
+      })))
+        .then(() => res.end(tail))
+        .catch((err) => {
+          // Headers are already out, so the best we can do is close the page
+          console.error('Error streaming deferred data:', err);
+          res.end(tail);
+        });
     };
 
     // Modify the render method to handle AJAX requests
     app.use((req: Request, res: Response, next: NextFunction) => {
       const originalRender = res.render;
       res.render = function(view: string, options: any = {}, callback?: (err: Error, html: string) => void) {
-        if (req.isAjax) {
+        if (req.isAjax && !req.isPartial) {
           options = { ...options, layout: false }; // Don't use layout for AJAX requests
         }
         //@ts-ignore
@@ -190,24 +414,353 @@ export function reactExpress(options: ReactExpressOptions = {}) {
       next();
     });
 
-    // Set up WebSocket if server is available
-    if (app.get('server') instanceof HTTPServer) {
-      const server = app.get('server');
-      io = new SocketServer(server);
+    // Set up WebSocket on the app's Socket.IO server, or on our own if the HTTP server is available.
+    // SSE only needs routes, so it works without either.
+    const transports: Transport[] = [];
+    if (transportName !== 'sse' && (mergedOptions.io || app.get('server') instanceof HTTPServer)) {
+      ioServer = mergedOptions.io || new SocketServer(app.get('server'));
+      transports.push(new SocketIoTransport(ioServer.of(namespace)));
+    }
+    if (transportName !== 'socket.io') {
+      const sse = new SseTransport();
+      sse.mount(app, `${basePath}/events`);
+      transports.push(sse);
+    }
+
+    // Flush pending writes when the server shuts down, whether or not state is synced to clients
+    const server = app.get('server') instanceof HTTPServer ? app.get('server') : ioServer?.httpServer;
+    if (persistence && server) {
+      server.on('close', () => persistence.stop());
+    }
 
-      io.on('connection', (socket) => {
-      
-        const unsubscribe = state.subscribe((key, value) => {
-          socket.emit('state:update', { key, value });
+    if (transports.length) {
+      transport = transports.length === 1 ? transports[0] : new MultiTransport(transports);
+
+      // Fan scope changes out to the sockets that joined that scope
+      scopes.onScope((scope) => {
+        scope.subscribeChanges(({ changes, batch, origin, versions, revision, previous, previousVersions, ops }) => {
+          if (!transport) return;
+          // The writing socket already has these values
+          const channel = scopeChannel(scope.scope);
+          const target = {
+            emit: (event: string, payload: any) => transport!.broadcast(channel, event, payload, origin)
+          };
+          const clientScope = clientScopeName(scope.scope);
+          const visible = policy.visible(changes);
+          if (!Object.keys(visible).length) return;
+          // Shared keys travel as CRDT operations, never as plain values
+          const keyOps = pick(ops, Object.keys(visible));
+          if (batch) {
+            target.emit('state:batch-update', {
+              updates: Object.fromEntries(Object.entries(visible).filter(([key]) => !(key in keyOps))),
+              ops: keyOps,
+              scope: clientScope,
+              versions: pick(versions, Object.keys(visible)),
+              revision
+            });
+          } else if (Object.keys(keyOps).length) {
+            const [[key, keyOpsList]] = Object.entries(keyOps);
+            target.emit('state:crdt', { key, ops: keyOpsList, scope: clientScope, version: versions[key], revision });
+          } else {
+            const [[key, value]] = Object.entries(visible);
+            const patch = mergedOptions.patches ? patchFor(previous[key], value) : null;
+            if (patch) {
+              // Clients apply the patch only if they hold the version it was made against
+              target.emit('state:patch', {
+                key,
+                patch,
+                scope: clientScope,
+                baseVersion: previousVersions[key],
+                version: versions[key],
+                revision
+              });
+            } else {
+              target.emit('state:update', { key, value, scope: clientScope, version: versions[key], revision });
+            }
+          }
         });
+      });
+
+      transport.onConnection((socket) => {
+        const sid = scopes.sessionId(socket.request);
+        const rooms = new Set<string>();
+
+        socket.join(scopeChannel('global'));
+        if (sid) socket.join(scopeChannel(`session:${sid}`));
 
-        socket.on('state:update', ({ key, value }) => {
-          state.setState(key, value);
+        // Map a client-facing scope name to a scope this socket belongs to
+        const resolveScope = (scope?: string) => {
+          if (!scope) {
+            if (!scopes.sessionsEnabled) return scopes.global;
+            return sid ? scopes.session(sid) : null;
+          }
+          if (scope === 'global') return scopes.global;
+          if (scope === 'session') return sid ? scopes.session(sid) : null;
+          if (scope.startsWith('room:') && rooms.has(scope.slice(5))) {
+            return scopes.room(scope.slice(5));
+          }
+          return null;
+        };
+
+        // Client-visible part of a delta or snapshot
+        const visibleDelta = (scope: string, delta: StateDelta) => {
+          const updates = policy.visible(delta.updates);
+          const crdts = policy.visible(delta.crdts);
+          return { scope, ...delta, updates, crdts, versions: pick(delta.versions, Object.keys(updates)) };
+        };
+
+        // Tell the client a write was refused, with the server's values to roll back to
+        const reject = (scope: string | undefined, keys: string[], rejections: WriteRejection[], ack?: Function) => {
+          const target = resolveScope(scope);
+          const current: Record<string, any> = {};
+          const versions: Record<string, number> = {};
+          const crdts: Record<string, any> = {};
+          if (target) {
+            keys.forEach((key) => {
+              if (policy.isServerOnly(key)) return;
+              current[key] = target.getState(key);
+              versions[key] = target.getVersion(key);
+              const shared = target.sharedState(key);
+              if (shared) crdts[key] = shared;
+            });
+          }
+          socket.emit('state:rejected', { scope: scope || null, rejections, current, versions, crdts });
+          if (typeof ack === 'function') ack({ ok: false, rejections });
+        };
+
+        const notMember = (scope: string | undefined, key: string): WriteRejection => ({
+          key,
+          reason: 'scope',
+          message: `Not a member of scope "${scope || 'session'}"`
         });
 
-        socket.on('disconnect', unsubscribe);
+        // Run writes one at a time so async checks cannot reorder them
+        let writeQueue = Promise.resolve();
+        const enqueue = (task: () => Promise<void>) => {
+          writeQueue = writeQueue.then(task).catch((err) => {
+            console.error('Error applying client state write:', err);
+          });
+        };
+
+        // Check, resolve and apply a client write; batches are all-or-nothing
+        const applyWrite = async (
+          scope: string | undefined,
+          updates: Record<string, any>,
+          baseVersions: Record<string, number>,
+          clientId: string | undefined,
+          batch: boolean,
+          ack?: Function,
+          returnValues = false
+        ) => {
+          const keys = Object.keys(updates);
+          const target = resolveScope(scope);
+          if (!target) {
+            reject(scope, [], [notMember(scope, batch ? '*' : keys[0])], ack);
+            return;
+          }
+
+          const rejections: WriteRejection[] = [];
+          for (const key of keys) {
+            const rejection = await policy.checkWrite(socket, key, updates[key]);
+            if (rejection) rejections.push(rejection);
+          }
+
+          // Someone else wrote these keys after the client last saw them
+          const values = { ...updates };
+          let resolvedDiffers = false;
+          for (const key of keys) {
+            const baseVersion = baseVersions[key];
+            if (rejections.length || !target.isStale(key, baseVersion, clientId)) continue;
+            if (conflicts === 'last-write-wins') continue;
+            if (conflicts === 'reject') {
+              rejections.push({ key, reason: 'stale', message: `"${key}" changed on the server since it was read` });
+              continue;
+            }
+            values[key] = await conflicts({
+              key,
+              scope: target.scope,
+              serverValue: target.getState(key),
+              clientValue: updates[key],
+              serverVersion: target.getVersion(key),
+              baseVersion,
+              socket
+            });
+            if (values[key] !== updates[key]) resolvedDiffers = true;
+          }
+
+          if (rejections.length) {
+            reject(scope, keys, rejections, ack);
+            return;
+          }
+
+          // The writer needs the update too when a resolver changed the value, or when
+          // a plain value for a shared key was turned into operations its replica lacks
+          const shared = keys.some((key) => target.crdt(key));
+          const options = { origin: resolvedDiffers || shared ? undefined : socket.id, clientId };
+          if (batch) {
+            target.setStates(values, options);
+          } else {
+            target.setState(keys[0], values[keys[0]], options);
+          }
+          if (typeof ack === 'function') {
+            ack({
+              ok: true,
+              scope: clientScopeName(target.scope),
+              epoch: target.epoch,
+              revision: target.getRevision(),
+              versions: Object.fromEntries(keys.map((key) => [key, target.getVersion(key)])),
+              ...(returnValues ? { values: Object.fromEntries(keys.map((key) => [key, target.getState(key)])) } : {})
+            });
+          }
+        };
+
+        // Payloads are whatever the client sent: anything but an object is refused, not destructured
+        const onPayload = (event: string, handler: (payload: any, ack?: Function) => unknown) => {
+          socket.on(event, (payload: any, ack?: Function) => {
+            if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+              const rejection: WriteRejection = { key: '*', reason: 'invalid', message: `"${event}" expects an object payload` };
+              if (typeof ack === 'function') ack({ ok: false, rejections: [rejection] });
+              return;
+            }
+            handler(payload, ack);
+          });
+        };
+
+        onPayload('state:update', ({ key, value, scope, baseVersion, clientId }, ack) => enqueue(async () => {
+          const baseVersions = typeof baseVersion === 'number' ? { [key]: baseVersion } : {};
+          await applyWrite(scope, { [key]: value }, baseVersions, clientId, false, ack);
+        }));
+
+        // Patches apply to the server's current value, so edits to different fields merge
+        onPayload('state:patch', ({ key, patch, scope, baseVersion, clientId }, ack) => enqueue(async () => {
+          const target = resolveScope(scope);
+          if (!target) {
+            reject(scope, [], [notMember(scope, key)], ack);
+            return;
+          }
+          // Refuse keys the client may not write before the patch can probe their value
+          const denied = policy.checkAccess(key);
+          if (denied) {
+            reject(scope, typeof key === 'string' ? [key] : [], [denied], ack);
+            return;
+          }
+          const stale = target.isStale(key, baseVersion, clientId);
+          let value;
+          try {
+            value = applyPatch(target.getState(key), patch);
+          } catch {
+            // The patch error would describe the stored value, so say nothing about it
+            const message = `Patch could not be applied to "${key}"`;
+            reject(scope, [key], [{ key, reason: stale ? 'stale' : 'invalid', message }], ack);
+            return;
+          }
+          // Merged with someone else's change: the writer's copy lacks it, so send the result back
+          await applyWrite(scope, { [key]: value }, {}, clientId, false, ack, stale);
+        }));
+
+        // CRDT operations merge with whatever the server has, so they are never stale
+        onPayload('state:crdt', ({ key, ops, scope, clientId }, ack) => enqueue(async () => {
+          const target = resolveScope(scope);
+          if (!target) {
+            reject(scope, [], [notMember(scope, key)], ack);
+            return;
+          }
+          const denied = policy.checkAccess(key);
+          if (denied) {
+            reject(scope, typeof key === 'string' ? [key] : [], [denied], ack);
+            return;
+          }
+          const crdt = target.crdt(key);
+          if (!crdt || !Array.isArray(ops)) {
+            reject(scope, [], [{ key: String(key), reason: 'invalid', message: `"${key}" is not a shared key` }], ack);
+            return;
+          }
+
+          // Check the merged result before touching the real replica
+          let merged;
+          try {
+            const preview = crdt.clone();
+            ops.forEach(op => preview.apply(op));
+            merged = preview.value();
+          } catch (err: any) {
+            reject(scope, [key], [{ key, reason: 'invalid', message: err.message }], ack);
+            return;
+          }
+          const rejection = await policy.checkWrite(socket, key, merged);
+          if (rejection) {
+            reject(scope, [key], [rejection], ack);
+            return;
+          }
+
+          target.applyOps(key, ops, { origin: socket.id, clientId });
+          if (typeof ack === 'function') {
+            ack({
+              ok: true,
+              scope: clientScopeName(target.scope),
+              epoch: target.epoch,
+              revision: target.getRevision(),
+              versions: { [key]: target.getVersion(key) }
+            });
+          }
+        }));
+
+        // Apply a whole batch at once; other clients get a single batch event
+        onPayload('state:batch-update', ({ updates, scope, baseVersions, clientId }, ack) => enqueue(async () => {
+          if (!updates || typeof updates !== 'object' || Array.isArray(updates)) return;
+          await applyWrite(scope, updates, baseVersions || {}, clientId, true, ack);
+        }));
+
+        // Catch a (re)connecting client up: a delta when it knows the scope's epoch, else a snapshot
+        onPayload('state:sync', ({ known }, ack) => enqueue(async () => {
+          if (typeof ack !== 'function') return;
+          const snapshots = [visibleDelta('global', scopes.global.changesSince(known?.global))];
+          if (sid) {
+            snapshots.push(visibleDelta('session', scopes.session(sid).changesSince(known?.session)));
+          }
+          rooms.forEach((room) => {
+            const scope = `room:${room}`;
+            snapshots.push(visibleDelta(scope, scopes.room(room).changesSince(known?.[scope])));
+          });
+          ack({ defaultScope: scopes.sessionsEnabled ? 'session' : 'global', patches: !!mergedOptions.patches, snapshots });
+        }));
+
+        onPayload('state:join', async ({ room, since }) => {
+          if (typeof room !== 'string' || !room || rooms.has(room)) return;
+          try {
+            if (mergedOptions.authorizeRoom && !(await mergedOptions.authorizeRoom(socket, room))) {
+              return;
+            }
+          } catch (err) {
+            console.error(`Error authorizing room "${room}":`, err);
+            return;
+          }
+          rooms.add(room);
+          socket.join(scopeChannel(`room:${room}`));
+
+          // Send the room contents (or what changed since `since`) so late joiners catch up
+          socket.emit('state:snapshot', visibleDelta(`room:${room}`, scopes.room(room).changesSince(since)));
+        });
+
+        onPayload('state:leave', ({ room }) => {
+          if (!rooms.delete(room)) return;
+          socket.leave(scopeChannel(`room:${room}`));
+          releaseIfUnused(`room:${room}`);
+        });
+
+        socket.on('disconnect', () => {
+          rooms.forEach(room => releaseIfUnused(`room:${room}`));
+          if (sid) releaseIfUnused(`session:${sid}`);
+        });
       });
 
+      // Sessions with connected sockets never expire while idle
+      scopes.inUse = scopeId => !!transport?.members(scopeChannel(scopeId));
+
+      // Free empty scopes once their last socket has gone
+      const releaseIfUnused = (scopeId: string) => {
+        if (!transport?.members(scopeChannel(scopeId))) scopes.release(scopeId);
+      };
+
       // Set up HMR if enabled
       if (mergedOptions.hmr) {
         const watcher = chokidar.watch(app.get('views'), {
@@ -221,7 +774,7 @@ export function reactExpress(options: ReactExpressOptions = {}) {
           lastPath = filepath;
           if (hmrTimer) clearTimeout(hmrTimer);
           hmrTimer = setTimeout(() => {
-            io?.emit('hmr:update', {
+            transport?.broadcast(null, 'hmr:update', {
               path: path.relative(process.cwd(), lastPath!),
               timestamp: Date.now()
             });
@@ -231,3 +784,51 @@ export function reactExpress(options: ReactExpressOptions = {}) {
     }
   };
 }
+
+// Which layout slot a partial response replaces: the innermost layout both pages share,
+// undefined for pages without layouts, null when nothing is shared and the whole page changes
+function partialRegion(chain: string[], header: string | string[] | undefined): string | null | undefined {
+  let current: string[] = [];
+  try {
+    const parsed = JSON.parse(typeof header === 'string' ? header : '[]');
+    if (Array.isArray(parsed)) current = parsed.filter(name => typeof name === 'string');
+  } catch {}
+  if (!chain.length && !current.length) return undefined;
+  const shared = sharedLayouts(chain, current);
+  return shared ? chain[shared - 1] : null;
+}
+
+// A patch from `previous` to `value`, or null when sending the whole value is as cheap.
+// Values mutated in place (same reference) cannot be diffed and are sent whole.
+function patchFor(previous: any, value: any) {
+  if (!isContainer(previous) || !isContainer(value) || previous === value) return null;
+  const patch = diff(previous, value);
+  return JSON.stringify(patch).length < JSON.stringify(value).length ? patch : null;
+}
+
+function pick<T>(values: Record<string, T>, keys: string[]) {
+  const result: Record<string, T> = {};
+  keys.forEach((key) => {
+    if (key in values) result[key] = values[key];
+  });
+  return result;
+}
+
+function scopeChannel(scopeId: string) {
+  return `state:${scopeId}`;
+}
+
+// Session ids stay on the server; clients only see `session`
+function clientScopeName(scopeId: string) {
+  return scopeId.startsWith('session:') ? 'session' : scopeId;
+}
+
+// JSON that cannot close the surrounding <script> or open an HTML comment
+function serializeForScript(value: any) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
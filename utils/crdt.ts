@@ -0,0 +1,411 @@
+// Conflict-free replicated types for shared state keys. client/crdt.js mirrors this for the browser.
+import { deepEqual } from './jsonPatch.js';
+
+export type CrdtType = 'counter' | 'map' | 'list' | 'text';
+
+/** Lamport timestamp: [counter, replica] */
+export type CrdtId = [number, string];
+
+export class CrdtError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'CrdtError';
+    }
+}
+
+export function compareIds(a: CrdtId, b: CrdtId) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+function isId(value: any): value is CrdtId {
+    return Array.isArray(value) && value.length === 2
+        && Number.isInteger(value[0]) && value[0] > 0 && typeof value[1] === 'string';
+}
+
+export abstract class Crdt<Op = any, State = any> {
+    abstract readonly type: CrdtType;
+    /** Set by the owner to apply and distribute local edits; without it they apply directly */
+    publish: ((ops: Op[]) => void) | null = null;
+
+    constructor(public readonly replica: string) {}
+
+    abstract value(): any;
+    abstract state(): State;
+    /** Apply a local or remote op. Ops are idempotent; returns false when nothing changed */
+    abstract apply(op: Op): boolean;
+    /** Ops that turn the current value into `value` */
+    abstract assignOps(value: any): Op[];
+
+    assign(value: any) {
+        return this.emit(this.assignOps(value));
+    }
+
+    clone(replica = this.replica): Crdt<Op, State> {
+        return createCrdt(this.type, replica, this.state());
+    }
+
+    protected emit(ops: Op[]) {
+        if (!ops.length) return ops;
+        if (this.publish) {
+            this.publish(ops);
+        } else {
+            ops.forEach(op => this.apply(op));
+        }
+        return ops;
+    }
+}
+
+export interface CounterState {
+    p: Record<string, number>;
+    n: Record<string, number>;
+}
+
+/** New running totals of one replica */
+export interface CounterOp {
+    replica: string;
+    p: number;
+    n: number;
+}
+
+const isTotal = (value: any) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const sum = (totals: Record<string, number>) => Object.values(totals).reduce((a, b) => a + b, 0);
+
+/** PN-counter: each replica only grows its own totals, so increments never get lost */
+export class CounterCrdt extends Crdt<CounterOp, CounterState> {
+    readonly type = 'counter';
+    private p: Record<string, number> = {};
+    private n: Record<string, number> = {};
+
+    constructor(replica: string, state?: CounterState) {
+        super(replica);
+        if (state) {
+            this.p = { ...state.p };
+            this.n = { ...state.n };
+        }
+    }
+
+    value() {
+        return sum(this.p) - sum(this.n);
+    }
+
+    state() {
+        return { p: { ...this.p }, n: { ...this.n } };
+    }
+
+    apply(op: CounterOp) {
+        if (!op || typeof op.replica !== 'string' || !isTotal(op.p) || !isTotal(op.n)) {
+            throw new CrdtError('Invalid counter operation');
+        }
+        let changed = false;
+        if (op.p > (this.p[op.replica] || 0)) {
+            this.p[op.replica] = op.p;
+            changed = true;
+        }
+        if (op.n > (this.n[op.replica] || 0)) {
+            this.n[op.replica] = op.n;
+            changed = true;
+        }
+        return changed;
+    }
+
+    increment(by = 1) {
+        return this.emit(this.incrementOps(by));
+    }
+
+    decrement(by = 1) {
+        return this.emit(this.incrementOps(-by));
+    }
+
+    assignOps(value: any) {
+        return this.incrementOps(Number(value) - this.value());
+    }
+
+    private incrementOps(by: number): CounterOp[] {
+        if (!Number.isFinite(by)) throw new CrdtError('A shared counter only holds numbers');
+        if (!by) return [];
+        const p = this.p[this.replica] || 0;
+        const n = this.n[this.replica] || 0;
+        return [{ replica: this.replica, p: by > 0 ? p + by : p, n: by < 0 ? n - by : n }];
+    }
+}
+
+export interface MapEntry {
+    value?: any;
+    deleted?: boolean;
+    ts: CrdtId;
+}
+
+export interface MapState {
+    entries: Record<string, MapEntry>;
+    clock: number;
+}
+
+export interface MapOp {
+    key: string;
+    value?: any;
+    deleted?: boolean;
+    ts: CrdtId;
+}
+
+/** Last-writer-wins map: each field keeps the write with the highest timestamp */
+export class LwwMapCrdt extends Crdt<MapOp, MapState> {
+    readonly type = 'map';
+    private entries: Map<string, MapEntry> = new Map();
+    private clock = 0;
+
+    constructor(replica: string, state?: MapState) {
+        super(replica);
+        if (state) {
+            this.entries = new Map(Object.entries(state.entries));
+            this.clock = state.clock;
+        }
+    }
+
+    // Keys in sorted order, so every replica renders the same
+    value() {
+        const result: Record<string, any> = {};
+        Array.from(this.entries.keys()).sort().forEach((key) => {
+            const entry = this.entries.get(key)!;
+            if (!entry.deleted) result[key] = entry.value;
+        });
+        return result;
+    }
+
+    state() {
+        return { entries: Object.fromEntries(this.entries), clock: this.clock };
+    }
+
+    apply(op: MapOp) {
+        if (!op || typeof op.key !== 'string' || !isId(op.ts)) throw new CrdtError('Invalid map operation');
+        this.clock = Math.max(this.clock, op.ts[0]);
+        const current = this.entries.get(op.key);
+        if (current && compareIds(op.ts, current.ts) <= 0) return false;
+        this.entries.set(op.key, op.deleted ? { deleted: true, ts: op.ts } : { value: op.value, ts: op.ts });
+        return true;
+    }
+
+    set(key: string, value: any) {
+        return this.emit([{ key, value, ts: this.nextId() }]);
+    }
+
+    delete(key: string) {
+        const entry = this.entries.get(key);
+        return this.emit(entry && !entry.deleted ? [{ key, deleted: true, ts: this.nextId() }] : []);
+    }
+
+    assignOps(value: any) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new CrdtError('A shared map only holds objects');
+        }
+        const current = this.value();
+        const ops: MapOp[] = [];
+        Object.keys(current).forEach((key) => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) ops.push({ key, deleted: true, ts: this.nextId() });
+        });
+        Object.entries(value).forEach(([key, next]) => {
+            if (!Object.prototype.hasOwnProperty.call(current, key) || !deepEqual(current[key], next)) {
+                ops.push({ key, value: next, ts: this.nextId() });
+            }
+        });
+        return ops;
+    }
+
+    private nextId(): CrdtId {
+        return [++this.clock, this.replica];
+    }
+}
+
+export interface SequenceItem {
+    id: CrdtId;
+    value?: any;
+    deleted?: boolean;
+}
+
+export interface SequenceState {
+    items: SequenceItem[];
+    clock: number;
+}
+
+/** Inserts a run of values with consecutive ids after `after` (null: at the start) */
+export type SequenceOp =
+    | { op: 'insert'; id: CrdtId; after: CrdtId | null; values: any[] }
+    | { op: 'remove'; ids: CrdtId[] };
+
+/**
+ * Replicated growable array (RGA). Removed items stay as tombstones so
+ * later inserts can still be placed relative to them.
+ */
+abstract class SequenceCrdt extends Crdt<SequenceOp, SequenceState> {
+    protected items: SequenceItem[] = [];
+    protected clock = 0;
+
+    constructor(replica: string, state?: SequenceState) {
+        super(replica);
+        if (state) {
+            this.items = state.items.map(item => ({ ...item }));
+            this.clock = state.clock;
+        }
+    }
+
+    protected visible() {
+        return this.items.filter(item => !item.deleted);
+    }
+
+    state() {
+        return { items: this.items.map(item => ({ ...item })), clock: this.clock };
+    }
+
+    apply(op: SequenceOp) {
+        if (op?.op === 'insert') return this.integrate(op);
+        if (op?.op === 'remove') return this.tombstone(op.ids);
+        throw new CrdtError(`Invalid ${this.type} operation`);
+    }
+
+    protected abstract accepts(values: any[]): boolean;
+
+    private indexOf(id: CrdtId) {
+        return this.items.findIndex(item => item.id[0] === id[0] && item.id[1] === id[1]);
+    }
+
+    private integrate({ id, after, values }: { id: CrdtId; after: CrdtId | null; values: any[] }) {
+        if (!isId(id) || (after !== null && !isId(after)) || !Array.isArray(values) || !this.accepts(values)) {
+            throw new CrdtError(`Invalid ${this.type} operation`);
+        }
+        if (after !== null && this.indexOf(after) < 0) {
+            throw new CrdtError('Insert refers to an unknown item');
+        }
+        let changed = false;
+        let previous = after;
+        values.forEach((value, offset) => {
+            const itemId: CrdtId = [id[0] + offset, id[1]];
+            this.clock = Math.max(this.clock, itemId[0]);
+            if (this.indexOf(itemId) < 0) {
+                let index = previous === null ? 0 : this.indexOf(previous) + 1;
+                // Concurrent inserts at the same spot: the newer one goes first
+                while (index < this.items.length && compareIds(this.items[index].id, itemId) > 0) index++;
+                this.items.splice(index, 0, { id: itemId, value });
+                changed = true;
+            }
+            previous = itemId;
+        });
+        return changed;
+    }
+
+    private tombstone(ids: CrdtId[]) {
+        if (!Array.isArray(ids) || !ids.every(isId)) throw new CrdtError(`Invalid ${this.type} operation`);
+        let changed = false;
+        ids.forEach((id) => {
+            const index = this.indexOf(id);
+            if (index >= 0 && !this.items[index].deleted) {
+                this.items[index] = { id, deleted: true };
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    protected insertOps(index: number, values: any[]): SequenceOp[] {
+        const visible = this.visible();
+        if (!Number.isInteger(index) || index < 0 || index > visible.length) {
+            throw new CrdtError(`Index out of range: ${index}`);
+        }
+        if (!values.length) return [];
+        const id: CrdtId = [this.clock + 1, this.replica];
+        this.clock += values.length;
+        return [{ op: 'insert', id, after: index ? visible[index - 1].id : null, values }];
+    }
+
+    protected removeOps(index: number, count: number): SequenceOp[] {
+        const visible = this.visible();
+        if (!Number.isInteger(index) || index < 0 || index > visible.length) {
+            throw new CrdtError(`Index out of range: ${index}`);
+        }
+        const ids = visible.slice(index, index + count).map(item => item.id);
+        return ids.length ? [{ op: 'remove', ids }] : [];
+    }
+
+    // Replace the changed middle of the sequence, keeping the common head and tail
+    protected spliceOps(current: any[], next: any[], same: (a: any, b: any) => boolean) {
+        let start = 0;
+        while (start < current.length && start < next.length && same(current[start], next[start])) start++;
+        let end = 0;
+        while (end < current.length - start && end < next.length - start
+            && same(current[current.length - 1 - end], next[next.length - 1 - end])) end++;
+        return [
+            ...this.removeOps(start, current.length - start - end),
+            ...this.insertOps(start, next.slice(start, next.length - end))
+        ];
+    }
+}
+
+/** Ordered list; items are replaced as a whole */
+export class ListCrdt extends SequenceCrdt {
+    readonly type = 'list';
+
+    value() {
+        return this.visible().map(item => item.value);
+    }
+
+    insert(index: number, ...values: any[]) {
+        return this.emit(this.insertOps(index, values));
+    }
+
+    push(...values: any[]) {
+        return this.insert(this.visible().length, ...values);
+    }
+
+    remove(index: number, count = 1) {
+        return this.emit(this.removeOps(index, count));
+    }
+
+    assignOps(value: any) {
+        if (!Array.isArray(value)) throw new CrdtError('A shared list only holds arrays');
+        return this.spliceOps(this.value(), value, deepEqual);
+    }
+
+    protected accepts() {
+        return true;
+    }
+}
+
+/** Collaborative text, one item per character */
+export class TextCrdt extends SequenceCrdt {
+    readonly type = 'text';
+
+    value() {
+        return this.visible().map(item => item.value).join('');
+    }
+
+    insert(index: number, text: string) {
+        return this.emit(this.insertOps(index, Array.from(String(text))));
+    }
+
+    delete(index: number, length = 1) {
+        return this.emit(this.removeOps(index, length));
+    }
+
+    assignOps(value: any) {
+        if (typeof value !== 'string') throw new CrdtError('Shared text only holds strings');
+        return this.spliceOps(Array.from(this.value()), Array.from(value), (a, b) => a === b);
+    }
+
+    protected accepts(values: any[]) {
+        return values.every(value => typeof value === 'string');
+    }
+}
+
+export function createCrdt(type: CrdtType, replica: string, state?: any): Crdt {
+    switch (type) {
+        case 'counter':
+            return new CounterCrdt(replica, state);
+        case 'map':
+            return new LwwMapCrdt(replica, state);
+        case 'list':
+            return new ListCrdt(replica, state);
+        case 'text':
+            return new TextCrdt(replica, state);
+        default:
+            throw new CrdtError(`Unknown shared state type: ${type}`);
+    }
+}
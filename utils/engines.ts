@@ -0,0 +1,135 @@
+import { existsSync, promises as fs } from 'fs';
+import * as path from 'path';
+import * as ejs from 'ejs';
+
+export type EngineCallback = (err: Error | null, html?: string) => void;
+/** Express view engine signature, as passed to `app.engine()` */
+export type EngineRender = (filePath: string, options: Record<string, any>, callback: EngineCallback) => void;
+
+export interface EngineAdapter {
+    /** Template file extension, without the dot */
+    ext: string;
+    render: EngineRender;
+}
+
+export type EngineName = 'ejs' | 'pug' | 'handlebars' | 'nunjucks' | 'html';
+
+// Template engines other than EJS are optional peer dependencies, loaded on first render
+const modules: Map<string, Promise<any>> = new Map();
+
+function load(name: string): Promise<any> {
+    if (!modules.has(name)) {
+        modules.set(name, import(name).then(
+            mod => mod.default || mod,
+            () => {
+                modules.delete(name);
+                throw new Error(`The ${name} view engine needs the "${name}" package (npm install ${name})`);
+            }
+        ));
+    }
+    return modules.get(name)!;
+}
+
+/** Compiled templates per file, kept while Express's `view cache` is on */
+function compileCache<T>() {
+    const compiled: Map<string, T> = new Map();
+    return async (filePath: string, cache: boolean, compile: (source: string) => T): Promise<T> => {
+        const hit = cache ? compiled.get(filePath) : undefined;
+        if (hit) return hit;
+        const template = compile(await fs.readFile(filePath, 'utf8'));
+        if (cache) compiled.set(filePath, template);
+        return template;
+    };
+}
+
+function settle(callback: EngineCallback, work: () => Promise<string>) {
+    work().then(html => callback(null, html), err => callback(err));
+}
+
+const ejsEngine: EngineAdapter = {
+    ext: 'ejs',
+    render: (filePath, options, callback) => ejs.renderFile(filePath, options, callback as any)
+};
+
+const pugEngine: EngineAdapter = {
+    ext: 'pug',
+    render: (filePath, options, callback) => settle(callback, async () => {
+        const pug = await load('pug');
+        return pug.renderFile(filePath, options);
+    })
+};
+
+const handlebarsTemplates = compileCache<(context: any, options?: any) => string>();
+const handlebarsEngine: EngineAdapter = {
+    ext: 'hbs',
+    render: (filePath, options, callback) => settle(callback, async () => {
+        const handlebars = await load('handlebars');
+        const template = await handlebarsTemplates(filePath, !!options.cache, source => handlebars.compile(source));
+        // Handlebars only calls registered helpers, so layout blocks become one:
+        // `{{block "title" "Home"}}`, `{{#block "head"}}…{{/block}}`, `{{{block "title"}}}`
+        const helpers: Record<string, Function> = {};
+        if (typeof options.block === 'function') {
+            helpers.block = function (this: any, name: string, ...args: any[]) {
+                const hb = args.pop();
+                if (args.length) return options.block(name, args[0]);
+                if (hb.fn) return options.block(name, hb.fn(this));
+                return new handlebars.SafeString(options.block(name));
+            };
+        }
+        return template(options, { helpers });
+    })
+};
+
+const nunjucksEnvironments: Map<string, any> = new Map();
+const nunjucksEngine: EngineAdapter = {
+    ext: 'njk',
+    render: (filePath, options, callback) => settle(callback, async () => {
+        const nunjucks = await load('nunjucks');
+        const roots: string[] = ([] as string[]).concat(options.settings?.views || path.dirname(filePath)).map(dir => path.resolve(dir));
+        const key = `${roots.join(path.delimiter)}|${!!options.cache}`;
+        if (!nunjucksEnvironments.has(key)) {
+            const loader = new nunjucks.FileSystemLoader(roots, { noCache: !options.cache });
+            nunjucksEnvironments.set(key, new nunjucks.Environment(loader, { autoescape: true }));
+        }
+        // Names relative to the views directory, so {% extends %} and {% include %} resolve there too
+        const root = roots.find(dir => filePath.startsWith(dir + path.sep));
+        const name = root ? path.relative(root, filePath) : filePath;
+        return new Promise<string>((resolve, reject) => {
+            nunjucksEnvironments.get(key).render(name, options, (err: Error | null, html: string) => (err ? reject(err) : resolve(html)));
+        });
+    })
+};
+
+// Plain HTML files, sent as written
+const htmlEngine: EngineAdapter = {
+    ext: 'html',
+    render: (filePath, _options, callback) => settle(callback, () => fs.readFile(filePath, 'utf8'))
+};
+
+const builtInEngines: Record<EngineName, EngineAdapter> = {
+    ejs: ejsEngine,
+    pug: pugEngine,
+    handlebars: handlebarsEngine,
+    nunjucks: nunjucksEngine,
+    html: htmlEngine
+};
+
+export function resolveEngine(engine: EngineName | EngineAdapter): EngineAdapter {
+    if (typeof engine !== 'string') return engine;
+    const adapter = builtInEngines[engine];
+    if (!adapter) throw new Error(`Unknown view engine: ${engine}`);
+    return adapter;
+}
+
+/**
+ * Find a template by name without its extension, trying each extension in order.
+ * Returns the name with its extension, or null when no file matches.
+ */
+export function findTemplate(viewsDir: string, name: string, extensions: string[]): string | null {
+    if (path.extname(name) && existsSync(path.join(viewsDir, name))) return name;
+    for (const ext of extensions) {
+        const candidate = `${name}.${ext.replace(/^\./, '')}`;
+        if (existsSync(path.join(viewsDir, candidate))) return candidate;
+    }
+    return null;
+}
@@ -0,0 +1,190 @@
+// JSON Patch (RFC 6902). client/json-patch.js mirrors this for the browser.
+
+export type PatchOperation =
+    | { op: 'add' | 'replace' | 'test'; path: string; value: any }
+    | { op: 'remove'; path: string }
+    | { op: 'move' | 'copy'; from: string; path: string };
+
+export class PatchError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'PatchError';
+    }
+}
+
+export function isContainer(value: any): value is Record<string, any> | any[] {
+    return value !== null && typeof value === 'object';
+}
+
+export function deepEqual(a: any, b: any): boolean {
+    if (a === b) return true;
+    if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual((a as any)[key], (b as any)[key]));
+}
+
+function escapeToken(token: string | number) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function parsePointer(pointer: string): string[] {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || pointer[0] !== '/') {
+        throw new PatchError(`Invalid JSON pointer: ${pointer}`);
+    }
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function toIndex(token: string, max: number) {
+    if (!/^(0|[1-9][0-9]*)$/.test(token) || Number(token) > max) {
+        throw new PatchError(`Invalid array index: ${token}`);
+    }
+    return Number(token);
+}
+
+function getAt(doc: any, tokens: string[]) {
+    let node = doc;
+    for (const token of tokens) {
+        if (Array.isArray(node)) {
+            node = node[toIndex(token, node.length - 1)];
+        } else if (isContainer(node) && Object.prototype.hasOwnProperty.call(node, token)) {
+            node = (node as Record<string, any>)[token];
+        } else {
+            throw new PatchError(`Path not found: /${tokens.map(escapeToken).join('/')}`);
+        }
+    }
+    return node;
+}
+
+// Copy containers along the path only, so untouched subtrees keep their identity
+function updateAt(doc: any, tokens: string[], write: (parent: any, token: string) => void) {
+    const copy = (node: any) => (Array.isArray(node) ? node.slice() : { ...node });
+    if (!isContainer(doc)) throw new PatchError('Cannot patch into a primitive value');
+    const root = copy(doc);
+    let parent = root;
+    for (const token of tokens.slice(0, -1)) {
+        const key = Array.isArray(parent) ? toIndex(token, parent.length - 1) : token;
+        const child = parent[key];
+        if (!isContainer(child)) {
+            throw new PatchError(`Path not found: /${tokens.map(escapeToken).join('/')}`);
+        }
+        parent[key] = copy(child);
+        parent = parent[key];
+    }
+    write(parent, tokens[tokens.length - 1]);
+    return root;
+}
+
+function add(doc: any, tokens: string[], value: any) {
+    if (!tokens.length) return value;
+    return updateAt(doc, tokens, (parent, token) => {
+        if (Array.isArray(parent)) {
+            parent.splice(token === '-' ? parent.length : toIndex(token, parent.length), 0, value);
+        } else {
+            parent[token] = value;
+        }
+    });
+}
+
+function remove(doc: any, tokens: string[]) {
+    if (!tokens.length) return undefined;
+    return updateAt(doc, tokens, (parent, token) => {
+        if (Array.isArray(parent)) {
+            parent.splice(toIndex(token, parent.length - 1), 1);
+        } else if (Object.prototype.hasOwnProperty.call(parent, token)) {
+            delete parent[token];
+        } else {
+            throw new PatchError(`Path not found: /${tokens.map(escapeToken).join('/')}`);
+        }
+    });
+}
+
+function replace(doc: any, tokens: string[], value: any) {
+    if (!tokens.length) return value;
+    getAt(doc, tokens);
+    return updateAt(doc, tokens, (parent, token) => {
+        parent[Array.isArray(parent) ? toIndex(token, parent.length - 1) : token] = value;
+    });
+}
+
+/** Apply operations in order without mutating `doc`; throws PatchError on failure */
+export function applyPatch(doc: any, operations: PatchOperation[]): any {
+    if (!Array.isArray(operations)) throw new PatchError('A patch must be an array of operations');
+    return operations.reduce((current, operation) => {
+        const tokens = parsePointer(operation.path);
+        switch (operation.op) {
+            case 'add':
+                return add(current, tokens, operation.value);
+            case 'remove':
+                return remove(current, tokens);
+            case 'replace':
+                return replace(current, tokens, operation.value);
+            case 'move': {
+                if (operation.path.startsWith(`${operation.from}/`)) {
+                    throw new PatchError('Cannot move a value into one of its children');
+                }
+                const from = parsePointer(operation.from);
+                const value = getAt(current, from);
+                return add(remove(current, from), tokens, value);
+            }
+            case 'copy':
+                return add(current, tokens, structuredClone(getAt(current, parsePointer(operation.from))));
+            case 'test':
+                if (!deepEqual(getAt(current, tokens), operation.value)) {
+                    throw new PatchError(`Test failed at ${operation.path}`);
+                }
+                return current;
+            default:
+                throw new PatchError(`Unknown patch operation: ${(operation as any).op}`);
+        }
+    }, doc);
+}
+
+/** Operations that turn `a` into `b` */
+export function diff(a: any, b: any, path = ''): PatchOperation[] {
+    if (deepEqual(a, b)) return [];
+    if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) {
+        return [{ op: 'replace', path, value: b }];
+    }
+
+    const operations: PatchOperation[] = [];
+    if (Array.isArray(a) && Array.isArray(b)) {
+        // Skip the unchanged head and tail so inserts and removals stay small
+        let start = 0;
+        while (start < a.length && start < b.length && deepEqual(a[start], b[start])) start++;
+        let end = 0;
+        while (end < a.length - start && end < b.length - start
+            && deepEqual(a[a.length - 1 - end], b[b.length - 1 - end])) end++;
+
+        const changedA = a.length - start - end;
+        const changedB = b.length - start - end;
+        const common = Math.min(changedA, changedB);
+        for (let i = 0; i < common; i++) {
+            operations.push(...diff(a[start + i], b[start + i], `${path}/${start + i}`));
+        }
+        for (let i = common; i < changedA; i++) {
+            operations.push({ op: 'remove', path: `${path}/${start + common}` });
+        }
+        for (let i = common; i < changedB; i++) {
+            operations.push({ op: 'add', path: `${path}/${start + i}`, value: b[start + i] });
+        }
+        return operations;
+    }
+
+    Object.keys(a).forEach((key) => {
+        if (!Object.prototype.hasOwnProperty.call(b, key)) {
+            operations.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+        }
+    });
+    Object.keys(b).forEach((key) => {
+        const childPath = `${path}/${escapeToken(key)}`;
+        if (!Object.prototype.hasOwnProperty.call(a, key)) {
+            operations.push({ op: 'add', path: childPath, value: (b as any)[key] });
+        } else {
+            operations.push(...diff((a as any)[key], (b as any)[key], childPath));
+        }
+    });
+    return operations;
+}
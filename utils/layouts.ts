@@ -0,0 +1,75 @@
+/** Route prefix → layout view, e.g. `{ '/': 'layouts/main', '/admin': 'layouts/admin' }` */
+export type LayoutMap = Record<string, string>;
+
+/** Per-render override: `false` for none, or the exact layouts to use (outermost first) */
+export type LayoutOption = false | string | string[];
+
+export type RenderFn = (view: string, locals: Record<string, any>, callback: (err: Error | null, html: string) => void) => void;
+
+/** Named blocks a view fills in and its layouts print, e.g. `<% block('title', 'Home') %>` / `<%- block('title') %>` */
+export interface BlockFn {
+    (name: string, content?: string): string;
+    append(name: string, content: string): string;
+}
+
+export function createBlocks(): BlockFn {
+    const blocks: Record<string, string> = {};
+    const block = ((name: string, content?: string) => {
+        if (content !== undefined) {
+            blocks[name] = String(content);
+            return '';
+        }
+        return blocks[name] || '';
+    }) as BlockFn;
+    block.append = (name: string, content: string) => {
+        blocks[name] = (blocks[name] || '') + String(content);
+        return '';
+    };
+    return block;
+}
+
+/** Attribute marking the region a layout renders its inner content into */
+export const SLOT_ATTRIBUTE = 'data-content';
+
+export class Layouts {
+    private prefixes: [string, string][];
+
+    constructor(map: LayoutMap = {}) {
+        // Shortest prefix first, so outer layouts come before nested ones
+        this.prefixes = Object.entries(map)
+            .map(([prefix, view]): [string, string] => [`/${prefix.replace(/^\/+|\/+$/g, '')}`, view])
+            .sort(([a], [b]) => a.length - b.length);
+    }
+
+    /** Layouts for a request path, outermost first */
+    chainFor(requestPath: string, override?: LayoutOption): string[] {
+        if (override === false) return [];
+        if (typeof override === 'string') return [override];
+        if (Array.isArray(override)) return override;
+        return this.prefixes
+            .filter(([prefix]) => prefix === '/' || requestPath === prefix || requestPath.startsWith(`${prefix}/`))
+            .map(([, view]) => view);
+    }
+
+    /**
+     * Wrap rendered view HTML in its layouts, innermost first. Each layout gets the
+     * inner HTML as `body`, already inside a `<div data-content="<layout>">` slot.
+     */
+    wrap(render: RenderFn, chain: string[], html: string, locals: Record<string, any>): Promise<string> {
+        return chain.reduceRight<Promise<string>>((inner, layout) => inner.then(body => new Promise((resolve, reject) => {
+            const slot = `<div ${SLOT_ATTRIBUTE}="${escapeAttribute(layout)}">${body}</div>`;
+            render(layout, { ...locals, body: slot }, (err, wrapped) => (err ? reject(err) : resolve(wrapped)));
+        })), Promise.resolve(html));
+    }
+}
+
+/** Number of leading layouts two chains share */
+export function sharedLayouts(a: string[], b: string[]) {
+    let shared = 0;
+    while (shared < a.length && shared < b.length && a[shared] === b[shared]) shared++;
+    return shared;
+}
+
+function escapeAttribute(value: string) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
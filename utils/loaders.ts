@@ -0,0 +1,30 @@
+import type { Request, Response, NextFunction, RequestHandler } from 'express';
+
+/** Header the client router sends to get a route's loader data as JSON instead of its page */
+export const LOADER_HEADER = 'x-react-express-loader';
+
+export type LoaderFn<T = any> = (req: Request) => T | Promise<T>;
+
+/**
+ * Route middleware that loads a page's data. Page requests get the result as `loaderData`
+ * in the template (and embedded for the client); router requests get it as JSON and the
+ * route handler is skipped.
+ */
+export function loader<T = any>(fn: LoaderFn<T>): RequestHandler {
+    return (req: Request, res: Response, next: NextFunction) => {
+        res.vary(LOADER_HEADER);
+        Promise.resolve()
+            .then(() => fn(req))
+            .then((result) => {
+                const data = result === undefined ? null : result;
+                if (req.headers[LOADER_HEADER] === '1') {
+                    res.json({ data });
+                    return;
+                }
+                req.loaderData = data;
+                res.locals.loaderData = data;
+                next();
+            })
+            .catch(next);
+    };
+}
@@ -0,0 +1,112 @@
+import * as cheerio from 'cheerio';
+import { ScriptProcessor } from './scriptProcessor.js';
+
+export interface PageStyle {
+    type: 'style' | 'inline-style';
+    href?: string;
+    content?: string;
+    id?: string;
+}
+
+export interface PageScript {
+    type: 'script';
+    src: string;
+    async: boolean;
+    defer: boolean;
+    id?: string;
+    scriptType?: string;
+}
+
+/** What the router needs to swap one page's `[data-content]` region for another's */
+export interface PartialPage {
+    partial: true;
+    title: string;
+    /** Inner HTML of `[data-content]`, without its scripts and styles */
+    content: string;
+    headStyles: PageStyle[];
+    contentStyles: PageStyle[];
+    externalScripts: PageScript[];
+    /** Inline scripts from inside `[data-content]`, in document order */
+    inlineScripts: string[];
+    state: Record<string, any> | null;
+    /** Layouts the page renders in, outermost first */
+    layouts: string[];
+    /** Layout whose slot `content` fills; null for a page's own `[data-content]` */
+    region: string | null;
+    /** The route's `loader()` result; absent when it has no loader */
+    loaderData?: any;
+}
+
+/** Header the client router sends to ask for a partial response */
+export const PARTIAL_HEADER = 'x-react-express-partial';
+/** Header with the layouts the client's current page renders in, as a JSON array */
+export const LAYOUTS_HEADER = 'x-react-express-layouts';
+
+export class PartialPageExtractor {
+    /**
+     * Split a rendered page (before ScriptProcessor moves its inline scripts) into a content region and a manifest: the slot of layout `region`,
+     * or the first `[data-content]` when no region is given. Null when the page has no such element.
+     */
+    static extract(html: string, state: Record<string, any> | null = null, region?: string, layouts: string[] = [], loaderData?: any): PartialPage | null {
+        const $ = cheerio.load(html);
+        const $content = region
+            ? $('[data-content]').filter((_, el) => $(el).attr('data-content') === region).first()
+            : $('[data-content]').first();
+        if (!$content.length) return null;
+
+        const headStyles: PageStyle[] = [];
+        $('head link[rel="stylesheet"]').each((_, el) => {
+            const $link = $(el);
+            headStyles.push({ type: 'style', href: $link.attr('href'), id: $link.attr('id') });
+        });
+        $('head style').each((_, el) => {
+            headStyles.push({ type: 'inline-style', content: $(el).text(), id: $(el).attr('id') });
+        });
+
+        const contentStyles: PageStyle[] = [];
+        $content.find('style').each((_, el) => {
+            contentStyles.push({ type: 'inline-style', content: $(el).text(), id: $(el).attr('id') });
+        });
+
+        const externalScripts: PageScript[] = [];
+        $('script[src]').each((_, el) => {
+            const $script = $(el);
+            externalScripts.push({
+                type: 'script',
+                src: $script.attr('src')!,
+                async: $script.attr('async') !== undefined,
+                defer: $script.attr('defer') !== undefined,
+                id: $script.attr('id'),
+                scriptType: $script.attr('type')
+            });
+        });
+
+        // Scripts outside the region already ran when the page first loaded. The router runs
+        // these directly, so they get the same scope wrapper as on a full page load.
+        const inlineScripts: string[] = [];
+        $content.find('script:not([src])').each((_, el) => {
+            const $script = $(el);
+            const type = $script.attr('type');
+            const content = $script.html()?.trim() || '';
+            if ((type && /json/i.test(type)) || !content) return;
+            const scope = $script.attr('data-scope') === 'global' ? 'global' : 'isolated';
+            inlineScripts.push(type === 'module' ? content : ScriptProcessor.isolate(content, scope));
+        });
+
+        $content.find('script, style').remove();
+
+        return {
+            partial: true,
+            title: $('title').first().text().trim(),
+            content: $content.html() || '',
+            headStyles,
+            contentStyles,
+            externalScripts,
+            inlineScripts,
+            state,
+            layouts,
+            region: region || null,
+            ...(loaderData !== undefined ? { loaderData } : {})
+        };
+    }
+}
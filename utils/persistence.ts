@@ -0,0 +1,294 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import type { StateScopes } from './stateScopes.js';
+import type { StateManager } from './stateManager.js';
+
+/** Persisted state keyed by scope id, then by state key */
+export type PersistedState = Record<string, Record<string, any>>;
+
+export interface StateChange {
+    scope: string;
+    key: string;
+    value: any;
+}
+
+export interface StorageAdapter {
+    /** Read everything persisted so far (called once on boot) */
+    load(): Promise<PersistedState>;
+    /** Write-behind flush of the keys changed since the last flush */
+    write(changes: StateChange[]): Promise<void>;
+    /** Replace the stored contents with a full snapshot */
+    snapshot(state: PersistedState): Promise<void>;
+    close?(): Promise<void>;
+}
+
+export interface PersistenceOptions {
+    adapter: StorageAdapter;
+    /** Delay in ms before dirty keys are written (default: 100) */
+    debounce?: number;
+    /** Full snapshot interval in ms; 0 disables snapshots (default: 60000) */
+    snapshotInterval?: number;
+    /** Choose which scopes are persisted (default: all) */
+    filter?: (scopeId: string) => boolean;
+}
+
+function applyChanges(target: PersistedState, changes: StateChange[]) {
+    changes.forEach(({ scope, key, value }) => {
+        (target[scope] = target[scope] || {})[key] = value;
+    });
+}
+
+export class MemoryStorageAdapter implements StorageAdapter {
+    private data: PersistedState = {};
+
+    async load() {
+        return JSON.parse(JSON.stringify(this.data)) as PersistedState;
+    }
+
+    async write(changes: StateChange[]) {
+        applyChanges(this.data, JSON.parse(JSON.stringify(changes)));
+    }
+
+    async snapshot(state: PersistedState) {
+        this.data = JSON.parse(JSON.stringify(state));
+    }
+}
+
+export class JsonFileStorageAdapter implements StorageAdapter {
+    private data: PersistedState = {};
+
+    constructor(private file: string) {}
+
+    async load() {
+        try {
+            this.data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (err: any) {
+            if (err.code !== 'ENOENT') throw err;
+            this.data = {};
+        }
+        return this.data;
+    }
+
+    async write(changes: StateChange[]) {
+        applyChanges(this.data, changes);
+        await this.persist();
+    }
+
+    async snapshot(state: PersistedState) {
+        this.data = state;
+        await this.persist();
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a file
+    private async persist() {
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(path.resolve(this.file)), { recursive: true });
+        await fs.writeFile(tmp, JSON.stringify(this.data, null, 2));
+        await fs.rename(tmp, this.file);
+    }
+}
+
+/** The subset of better-sqlite3 / node:sqlite used by SqliteStorageAdapter */
+export interface SqliteDatabase {
+    exec(sql: string): unknown;
+    prepare(sql: string): {
+        run(...params: any[]): unknown;
+        all(...params: any[]): any[];
+    };
+    close(): unknown;
+}
+
+export interface SqliteStorageOptions {
+    /** Database file; ignored when `database` is given */
+    filename?: string;
+    /** An already opened better-sqlite3 or node:sqlite database */
+    database?: SqliteDatabase;
+    table?: string;
+}
+
+export class SqliteStorageAdapter implements StorageAdapter {
+    private db: SqliteDatabase | null = null;
+    private table: string;
+
+    constructor(private options: SqliteStorageOptions) {
+        this.table = options.table || 'react_express_state';
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+            throw new Error(`Invalid SQLite table name: ${this.table}`);
+        }
+    }
+
+    async load() {
+        const db = await this.open();
+        const state: PersistedState = {};
+        db.prepare(`SELECT scope, key, value FROM ${this.table}`).all().forEach((row) => {
+            (state[row.scope] = state[row.scope] || {})[row.key] = JSON.parse(row.value);
+        });
+        return state;
+    }
+
+    async write(changes: StateChange[]) {
+        const db = await this.open();
+        const upsert = db.prepare(
+            `INSERT INTO ${this.table} (scope, key, value) VALUES (?, ?, ?)
+             ON CONFLICT(scope, key) DO UPDATE SET value = excluded.value`
+        );
+        this.transaction(db, () => {
+            changes.forEach(({ scope, key, value }) => {
+                upsert.run(scope, key, JSON.stringify(value ?? null));
+            });
+        });
+    }
+
+    async snapshot(state: PersistedState) {
+        const db = await this.open();
+        const insert = db.prepare(`INSERT INTO ${this.table} (scope, key, value) VALUES (?, ?, ?)`);
+        this.transaction(db, () => {
+            db.exec(`DELETE FROM ${this.table}`);
+            Object.entries(state).forEach(([scope, values]) => {
+                Object.entries(values).forEach(([key, value]) => {
+                    insert.run(scope, key, JSON.stringify(value ?? null));
+                });
+            });
+        });
+    }
+
+    async close() {
+        // Only close connections we opened ourselves
+        if (this.db && !this.options.database) this.db.close();
+        this.db = null;
+    }
+
+    private transaction(db: SqliteDatabase, fn: () => void) {
+        db.exec('BEGIN');
+        try {
+            fn();
+            db.exec('COMMIT');
+        } catch (err) {
+            db.exec('ROLLBACK');
+            throw err;
+        }
+    }
+
+    private async open() {
+        if (!this.db) {
+            this.db = this.options.database || await openSqlite(this.options.filename || 'react-express-state.db');
+            this.db.exec(
+                `CREATE TABLE IF NOT EXISTS ${this.table} (
+                    scope TEXT NOT NULL,
+                    key TEXT NOT NULL,
+                    value TEXT,
+                    PRIMARY KEY (scope, key)
+                )`
+            );
+        }
+        return this.db;
+    }
+}
+
+// Prefer better-sqlite3 when installed, else the built-in node:sqlite (Node 22.5+)
+async function openSqlite(filename: string): Promise<SqliteDatabase> {
+    const betterSqlite = 'better-sqlite3';
+    try {
+        const mod: any = await import(betterSqlite);
+        return new (mod.default || mod)(filename);
+    } catch {}
+    const nodeSqlite = 'node:sqlite';
+    try {
+        const mod: any = await import(nodeSqlite);
+        return new mod.DatabaseSync(filename);
+    } catch {}
+    throw new Error('SqliteStorageAdapter needs the "better-sqlite3" package or Node.js 22.5+ (node:sqlite)');
+}
+
+/**
+ * Loads persisted state into the scope registry on boot, then mirrors
+ * changes to the adapter with debounced write-behind and periodic snapshots.
+ */
+export class StatePersistence {
+    private dirty: Map<string, StateChange> = new Map();
+    private flushTimer: NodeJS.Timeout | null = null;
+    private snapshotTimer: NodeJS.Timeout | null = null;
+    private pending: Promise<void> = Promise.resolve();
+    private unsubscribes: Array<() => void> = [];
+    private scopeUnsubscribes: Map<StateManager, () => void> = new Map();
+    private options: Required<Omit<PersistenceOptions, 'filter'>> & Pick<PersistenceOptions, 'filter'>;
+
+    constructor(private scopes: StateScopes, options: PersistenceOptions) {
+        this.options = { debounce: 100, snapshotInterval: 60000, ...options };
+    }
+
+    async start() {
+        const stored = await this.options.adapter.load();
+        Object.entries(stored).forEach(([scopeId, values]) => {
+            if (!this.shouldPersist(scopeId)) return;
+            const scope = this.scopes.get(scopeId);
+            Object.entries(values).forEach(([key, value]) => scope.setState(key, value));
+        });
+
+        // Subscribe after loading so restored values are not written back
+        this.unsubscribes.push(this.scopes.onScope((scope) => {
+            if (!this.shouldPersist(scope.scope)) return;
+            this.scopeUnsubscribes.set(scope, scope.subscribe((key, value) => this.markDirty(scope.scope, key, value)));
+        }));
+        // A released or expired scope takes its subscription with it
+        this.unsubscribes.push(this.scopes.onRelease((scope) => {
+            this.scopeUnsubscribes.get(scope)?.();
+            this.scopeUnsubscribes.delete(scope);
+        }));
+
+        if (this.options.snapshotInterval > 0) {
+            this.snapshotTimer = setInterval(() => this.snapshot(), this.options.snapshotInterval);
+            this.snapshotTimer.unref();
+        }
+    }
+
+    /** Write pending changes now */
+    flush() {
+        if (this.flushTimer) clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.dirty.size) return this.pending;
+        const changes = Array.from(this.dirty.values());
+        this.dirty.clear();
+        return this.enqueue(() => this.options.adapter.write(changes));
+    }
+
+    snapshot() {
+        const state: PersistedState = {};
+        this.scopes.forEach((scope) => {
+            if (!this.shouldPersist(scope.scope) || !scope.getStates().size) return;
+            state[scope.scope] = Object.fromEntries(scope.getStates());
+        });
+        // A snapshot covers every dirty key
+        this.dirty.clear();
+        return this.enqueue(() => this.options.adapter.snapshot(state));
+    }
+
+    async stop() {
+        if (this.snapshotTimer) clearInterval(this.snapshotTimer);
+        this.snapshotTimer = null;
+        this.unsubscribes.forEach(unsubscribe => unsubscribe());
+        this.unsubscribes = [];
+        this.scopeUnsubscribes.forEach(unsubscribe => unsubscribe());
+        this.scopeUnsubscribes.clear();
+        await this.flush();
+        await this.options.adapter.close?.();
+    }
+
+    private shouldPersist(scopeId: string) {
+        return !this.options.filter || this.options.filter(scopeId);
+    }
+
+    private markDirty(scope: string, key: string, value: any) {
+        this.dirty.set(`${scope}\u0000${key}`, { scope, key, value });
+        if (this.flushTimer) clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), this.options.debounce);
+    }
+
+    // Run adapter calls one at a time so writes never overlap
+    private enqueue(task: () => Promise<void>) {
+        this.pending = this.pending.then(task).catch((err) => {
+            console.error('Error persisting state:', err);
+        });
+        return this.pending;
+    }
+}
@@ -65,6 +65,11 @@ export class ScriptProcessor {
         `;
     }
 
+    /** Wrap one inline script the way processScripts does, for scripts run outside a full page load */
+    public static isolate(content: string, scope: 'global' | 'isolated' = 'isolated'): string {
+        return this.wrapInScope(content, this.generateUniquePrefix(), scope);
+    }
+
     public static processScripts(html: string): { processedHtml: string; combinedScript: string } {
         const $ = cheerio.load(html);
         const scripts: Script[] = [];
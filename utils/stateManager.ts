@@ -0,0 +1,233 @@
+import { randomUUID } from 'crypto';
+import { applyPatch, PatchOperation } from './jsonPatch.js';
+import { Crdt, CrdtError, CrdtType, createCrdt } from './crdt.js';
+
+export type StateSubscriber = (key: string, value: any) => void;
+
+export interface StateChangeset {
+    changes: Record<string, any>;
+    /** True when the changes came from setStates/transaction */
+    batch: boolean;
+    /** Socket id of the client that made the write, if any */
+    origin?: string;
+    /** Version of each changed key after the write */
+    versions: Record<string, number>;
+    /** Values and versions the changed keys had before the write */
+    previous: Record<string, any>;
+    previousVersions: Record<string, number>;
+    /** Operations applied to shared (CRDT) keys, by key */
+    ops: Record<string, any[]>;
+    /** Scope revision after the write */
+    revision: number;
+}
+
+export type ChangesetSubscriber = (changeset: StateChangeset) => void;
+
+export interface WriteOptions {
+    origin?: string;
+    /** Stable id of the writing client, used to tell its own writes from conflicts */
+    clientId?: string;
+}
+
+/** Keys changed after a given revision, or everything when `full` */
+export interface StateDelta {
+    epoch: string;
+    revision: number;
+    full: boolean;
+    updates: Record<string, any>;
+    versions: Record<string, number>;
+    /** Type and full state of the shared keys included */
+    crdts: Record<string, SharedState>;
+}
+
+export interface SharedState {
+    type: CrdtType;
+    state: any;
+}
+
+export class StateManager {
+    private state: Map<string, any> = new Map();
+    private subscribers: Set<StateSubscriber> = new Set();
+    private changesetSubscribers: Set<ChangesetSubscriber> = new Set();
+    // Every write bumps the revision; a key's version is the revision it last changed in
+    private revision = 0;
+    private versions: Map<string, number> = new Map();
+    private writers: Map<string, string | undefined> = new Map();
+    private crdts: Map<string, Crdt> = new Map();
+
+    /** Changes whenever the scope is recreated, e.g. after a restart */
+    public readonly epoch: string = randomUUID();
+
+    constructor(public readonly scope: string = 'global') {}
+
+    getStates() {
+        return this.state;
+    }
+
+    setState(key: string, value: any, options: WriteOptions = {}) {
+        this.setStates({ [key]: value }, options, false);
+    }
+
+    /**
+     * Apply several keys at once. All keys are written before any
+     * subscriber runs, and changeset subscribers are notified once.
+     */
+    setStates(updates: Record<string, any>, options: WriteOptions = {}, batch = true) {
+        // Shared keys turn the new value into operations, so concurrent edits still merge
+        const changes: Record<string, any> = {};
+        const pending: Array<[string, Crdt, any[]]> = [];
+        Object.entries(updates).forEach(([key, value]) => {
+            const crdt = this.crdts.get(key);
+            if (crdt) {
+                pending.push([key, crdt, crdt.assignOps(value)]);
+            } else {
+                changes[key] = value;
+            }
+        });
+        const ops: Record<string, any[]> = {};
+        pending.forEach(([key, crdt, keyOps]) => {
+            const applied = keyOps.filter(op => crdt.apply(op));
+            if (!applied.length) return;
+            ops[key] = applied;
+            changes[key] = crdt.value();
+        });
+        this.commit(changes, ops, options, batch);
+    }
+
+    /** Apply CRDT operations to a shared key; returns false when none of them changed anything */
+    applyOps(key: string, ops: any[], options: WriteOptions = {}) {
+        const crdt = this.crdts.get(key);
+        if (!crdt) throw new CrdtError(`"${key}" is not a shared key`);
+        const applied = ops.filter(op => crdt.apply(op));
+        if (!applied.length) return false;
+        this.commit({ [key]: crdt.value() }, { [key]: applied }, options, false);
+        return true;
+    }
+
+    /**
+     * Make `key` a conflict-free shared key of the given type. The current
+     * value (or `initial`) is kept; later writes are merged instead of replaced.
+     */
+    declare(key: string, type: CrdtType, initial?: any) {
+        const existing = this.crdts.get(key);
+        if (existing) {
+            if (existing.type !== type) throw new CrdtError(`"${key}" is already a shared ${existing.type}`);
+            return existing;
+        }
+        // Ids from before a restart never collide with new ones
+        const crdt = createCrdt(type, `server-${this.epoch}`);
+        crdt.publish = (ops) => this.applyOps(key, ops);
+        const current = initial !== undefined ? initial : this.state.get(key);
+        this.crdts.set(key, crdt);
+        if (current !== undefined) this.setState(key, current);
+        return crdt;
+    }
+
+    /** The CRDT behind a shared key; its edit methods write to this scope */
+    crdt(key: string) {
+        return this.crdts.get(key);
+    }
+
+    sharedState(key: string): SharedState | undefined {
+        const crdt = this.crdts.get(key);
+        return crdt ? { type: crdt.type, state: crdt.state() } : undefined;
+    }
+
+    private commit(changes: Record<string, any>, ops: Record<string, any[]>, options: WriteOptions, batch: boolean) {
+        if (!Object.keys(changes).length) return;
+        const revision = ++this.revision;
+        const versions: Record<string, number> = {};
+        const previous: Record<string, any> = {};
+        const previousVersions: Record<string, number> = {};
+        Object.entries(changes).forEach(([key, value]) => {
+            previous[key] = this.state.get(key);
+            previousVersions[key] = this.getVersion(key);
+            this.state.set(key, value);
+            this.versions.set(key, revision);
+            this.writers.set(key, options.clientId);
+            versions[key] = revision;
+        });
+        this.notifySubscribers({ changes, batch, origin: options.origin, versions, revision, previous, previousVersions, ops });
+    }
+
+    /** Apply a JSON Patch to an object or array key; throws PatchError if it does not apply */
+    patchState(key: string, patch: PatchOperation[], options: WriteOptions = {}) {
+        const value = applyPatch(this.state.get(key), patch);
+        this.setState(key, value, options);
+        return value;
+    }
+
+    /** Collect writes made by `fn` and apply them as one batch; nothing is applied if it throws */
+    transaction(fn: (set: (key: string, value: any) => void) => void, options: WriteOptions = {}) {
+        const updates: Record<string, any> = {};
+        fn((key, value) => {
+            updates[key] = value;
+        });
+        this.setStates(updates, options);
+    }
+
+    getState(key: string) {
+        // Declared shared keys read as their empty value until first written
+        if (!this.state.has(key) && this.crdts.has(key)) return this.crdts.get(key)!.value();
+        return this.state.get(key);
+    }
+
+    getVersion(key: string) {
+        return this.versions.get(key) || 0;
+    }
+
+    getRevision() {
+        return this.revision;
+    }
+
+    /**
+     * A write based on `baseVersion` is stale when someone else has
+     * written the key since. Writes without a base version never are.
+     */
+    isStale(key: string, baseVersion: number | undefined, clientId?: string) {
+        if (typeof baseVersion !== 'number') return false;
+        const current = this.getVersion(key);
+        // A base newer than anything we know comes from an older epoch; let it through
+        if (baseVersion >= current || baseVersion > this.revision) return false;
+        return !clientId || this.writers.get(key) !== clientId;
+    }
+
+    /** Everything written after `since`; a full snapshot when the epoch differs */
+    changesSince(since?: { epoch?: string; revision?: number }): StateDelta {
+        const full = !since || since.epoch !== this.epoch || typeof since.revision !== 'number'
+            || since.revision > this.revision;
+        const after = full ? 0 : since!.revision!;
+        const updates: Record<string, any> = {};
+        const versions: Record<string, number> = {};
+        const crdts: Record<string, SharedState> = {};
+        this.versions.forEach((version, key) => {
+            if (version > after) {
+                updates[key] = this.state.get(key);
+                versions[key] = version;
+            }
+        });
+        // Clients need the full CRDT state to merge; declared keys count even before a write
+        this.crdts.forEach((crdt, key) => {
+            if (full || key in updates) crdts[key] = { type: crdt.type, state: crdt.state() };
+        });
+        return { epoch: this.epoch, revision: this.revision, full, updates, versions, crdts };
+    }
+
+    subscribe(callback: StateSubscriber) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+
+    /** Receive each write as a single changeset, batched or not */
+    subscribeChanges(callback: ChangesetSubscriber) {
+        this.changesetSubscribers.add(callback);
+        return () => this.changesetSubscribers.delete(callback);
+    }
+
+    private notifySubscribers(changeset: StateChangeset) {
+        Object.entries(changeset.changes).forEach(([key, value]) => {
+            this.subscribers.forEach(callback => callback(key, value));
+        });
+        this.changesetSubscribers.forEach(callback => callback(changeset));
+    }
+}
@@ -0,0 +1,142 @@
+import type { Connection } from './transport.js';
+
+/** Returns true when valid, false or an error message when not */
+export type StateValidatorFn = (value: any, key: string) => boolean | string;
+
+/** zod-style schema objects are accepted as validators too */
+export interface SafeParseSchema {
+    safeParse(value: any): { success: boolean; error?: { message?: string } };
+}
+
+export type StateValidator = StateValidatorFn | SafeParseSchema;
+
+export interface KeyPolicy {
+    /** Clients receive the key but may not write it */
+    readOnly?: boolean;
+    /** Clients neither receive nor write the key */
+    serverOnly?: boolean;
+    validate?: StateValidator;
+}
+
+export interface StatePolicyOptions {
+    /** Policies by key; a trailing `*` matches a prefix (e.g. `admin.*`) */
+    keys?: Record<string, KeyPolicy>;
+    /** Final say on every client write that passed the key policies */
+    canWrite?: (socket: Connection, key: string, value: any) => boolean | Promise<boolean>;
+}
+
+export type RejectReason = 'scope' | 'server-only' | 'read-only' | 'invalid' | 'forbidden' | 'stale';
+
+export interface WriteRejection {
+    key: string;
+    reason: RejectReason;
+    message: string;
+}
+
+export class StatePolicy {
+    private exact: Map<string, KeyPolicy> = new Map();
+    private prefixes: Array<[string, KeyPolicy]> = [];
+
+    constructor(private options: StatePolicyOptions = {}) {
+        Object.entries(options.keys || {}).forEach(([pattern, policy]) => {
+            if (pattern.endsWith('*')) {
+                this.prefixes.push([pattern.slice(0, -1), policy]);
+            } else {
+                this.exact.set(pattern, policy);
+            }
+        });
+        // Longest prefix wins
+        this.prefixes.sort((a, b) => b[0].length - a[0].length);
+    }
+
+    policyFor(key: string): KeyPolicy {
+        const exact = this.exact.get(key);
+        if (exact) return exact;
+        const match = this.prefixes.find(([prefix]) => key.startsWith(prefix));
+        return match ? match[1] : {};
+    }
+
+    isServerOnly(key: string) {
+        return !!this.policyFor(key).serverOnly;
+    }
+
+    /** Drop server-only keys from values headed to clients */
+    visible(values: Record<string, any>) {
+        const result: Record<string, any> = {};
+        Object.entries(values).forEach(([key, value]) => {
+            if (!this.isServerOnly(key)) result[key] = value;
+        });
+        return result;
+    }
+
+    /** Check whether clients may write a key at all, before anything looks at its value */
+    checkAccess(key: string): WriteRejection | null {
+        if (typeof key !== 'string' || !key) {
+            return { key: String(key), reason: 'invalid', message: 'State key must be a non-empty string' };
+        }
+
+        const policy = this.policyFor(key);
+        if (policy.serverOnly) {
+            return { key, reason: 'server-only', message: `"${key}" can only be written by the server` };
+        }
+        if (policy.readOnly) {
+            return { key, reason: 'read-only', message: `"${key}" is read-only` };
+        }
+        return null;
+    }
+
+    /** Check a client write; resolves to null when it is allowed */
+    async checkWrite(socket: Connection, key: string, value: any): Promise<WriteRejection | null> {
+        const denied = this.checkAccess(key);
+        if (denied) return denied;
+
+        const policy = this.policyFor(key);
+
+        if (policy.validate) {
+            const message = runValidator(policy.validate, value, key);
+            if (message !== null) return { key, reason: 'invalid', message };
+        }
+
+        if (this.options.canWrite) {
+            try {
+                if (!(await this.options.canWrite(socket, key, value))) {
+                    return { key, reason: 'forbidden', message: `Not allowed to write "${key}"` };
+                }
+            } catch (err: any) {
+                return { key, reason: 'forbidden', message: err?.message || `Not allowed to write "${key}"` };
+            }
+        }
+
+        return null;
+    }
+}
+
+// Returns an error message, or null when the value is valid
+function runValidator(validator: StateValidator, value: any, key: string): string | null {
+    try {
+        if (typeof validator === 'function') {
+            const result = validator(value, key);
+            if (result === true) return null;
+            return typeof result === 'string' ? result : `Invalid value for "${key}"`;
+        }
+        const result = validator.safeParse(value);
+        return result.success ? null : result.error?.message || `Invalid value for "${key}"`;
+    } catch (err: any) {
+        return err?.message || `Invalid value for "${key}"`;
+    }
+}
+
+export interface StateConflict {
+    key: string;
+    scope: string;
+    serverValue: any;
+    clientValue: any;
+    serverVersion: number;
+    baseVersion: number;
+    socket: Connection;
+}
+
+/** Returns the value to store for a stale client write */
+export type ConflictResolver = (conflict: StateConflict) => any | Promise<any>;
+
+export type ConflictStrategy = 'reject' | 'last-write-wins' | ConflictResolver;
@@ -0,0 +1,162 @@
+import type { IncomingMessage } from 'http';
+import { StateManager } from './stateManager.js';
+
+export interface SessionOptions {
+    /** Cookie holding the session id (default: `rx.sid`) */
+    cookie?: string;
+    /** Custom session id lookup, e.g. `req => req.sessionID` with express-session */
+    resolve?: (req: IncomingMessage) => string | undefined;
+    /** Drop a session scope after this many ms without use; 0 keeps them (default: 30 minutes) */
+    idleTimeout?: number;
+}
+
+type ScopeListener = (scope: StateManager) => void;
+
+const DEFAULT_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+/**
+ * Registry of state scopes. Scope ids are `global`, `session:<id>` and
+ * `room:<name>`; each scope owns its own StateManager.
+ */
+export class StateScopes {
+    public readonly global = new StateManager('global');
+    private scopes: Map<string, StateManager> = new Map([['global', this.global]]);
+    private listeners: Set<ScopeListener> = new Set();
+    private releaseListeners: Set<ScopeListener> = new Set();
+    /** When each session scope was last used, for expiring idle ones */
+    private lastUsed: Map<string, number> = new Map();
+    private cookieName: string;
+    private idleTimeout: number;
+
+    /** Whether a scope is still in use elsewhere (e.g. has connected sockets), so it must not expire */
+    public inUse: (scopeId: string) => boolean = () => false;
+
+    constructor(private sessionOptions: SessionOptions | null = null) {
+        this.cookieName = sessionOptions?.cookie || 'rx.sid';
+        this.idleTimeout = sessionOptions?.idleTimeout ?? DEFAULT_IDLE_TIMEOUT;
+        if (sessionOptions && this.idleTimeout > 0) {
+            setInterval(() => this.expireIdle(), Math.min(this.idleTimeout, 60000)).unref();
+        }
+    }
+
+    get sessionsEnabled() {
+        return this.sessionOptions !== null;
+    }
+
+    get sessionCookie() {
+        return this.cookieName;
+    }
+
+    session(id: string) {
+        this.lastUsed.set(`session:${id}`, Date.now());
+        return this.get(`session:${id}`);
+    }
+
+    room(name: string) {
+        return this.get(`room:${name}`);
+    }
+
+    /** Look up an existing scope without creating it */
+    find(scopeId: string) {
+        return this.scopes.get(scopeId);
+    }
+
+    get(scopeId: string) {
+        let scope = this.scopes.get(scopeId);
+        if (!scope) {
+            scope = new StateManager(scopeId);
+            this.scopes.set(scopeId, scope);
+            if (scopeId.startsWith('session:')) this.lastUsed.set(scopeId, Date.now());
+            this.listeners.forEach(listener => listener(scope!));
+        }
+        return scope;
+    }
+
+    /** Drop a non-global scope once it no longer holds any state */
+    release(scopeId: string) {
+        const scope = this.scopes.get(scopeId);
+        if (scope && scopeId !== 'global' && scope.getStates().size === 0) {
+            this.drop(scopeId, scope);
+        }
+    }
+
+    /** Drop session scopes unused for longer than `idleTimeout`, state and all */
+    expireIdle(now = Date.now()) {
+        this.lastUsed.forEach((used, scopeId) => {
+            if (now - used < this.idleTimeout || this.inUse(scopeId)) return;
+            const scope = this.scopes.get(scopeId);
+            if (scope) this.drop(scopeId, scope);
+            else this.lastUsed.delete(scopeId);
+        });
+    }
+
+    /** Called for every scope that is dropped, so per-scope subscriptions can go with it */
+    onRelease(listener: ScopeListener) {
+        this.releaseListeners.add(listener);
+        return () => this.releaseListeners.delete(listener);
+    }
+
+    private drop(scopeId: string, scope: StateManager) {
+        this.scopes.delete(scopeId);
+        this.lastUsed.delete(scopeId);
+        this.releaseListeners.forEach(listener => listener(scope));
+    }
+
+    forEach(callback: ScopeListener) {
+        this.scopes.forEach(scope => callback(scope));
+    }
+
+    /** Called for every scope that exists now or is created later */
+    onScope(listener: ScopeListener) {
+        this.forEach(listener);
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /** Resolve the session id of an HTTP request or socket handshake */
+    sessionId(req: IncomingMessage): string | undefined {
+        if (!this.sessionOptions) return undefined;
+        if (this.sessionOptions.resolve) return this.sessionOptions.resolve(req);
+        return parseCookies(req.headers.cookie)[this.cookieName];
+    }
+
+    /** Default scope for a request: its session when sessions are enabled (created if needed) */
+    forRequest(req: IncomingMessage) {
+        const sid = this.sessionId(req);
+        return sid ? this.session(sid) : this.global;
+    }
+
+    /** Scope templates render with: never the global scope while sessions are enabled */
+    forTemplate(req: IncomingMessage) {
+        if (!this.sessionsEnabled) return this.global;
+        const sid = this.sessionId(req);
+        // Without a session id there is nowhere to keep writes, so hand out an empty scope nobody shares
+        return sid ? this.session(sid) : new StateManager('session');
+    }
+
+    /** The request's scope if it exists already; undefined for a session without state yet */
+    findForRequest(req: IncomingMessage) {
+        const sid = this.sessionId(req);
+        if (!sid) return this.global;
+        const scope = this.find(`session:${sid}`);
+        if (scope) this.lastUsed.set(`session:${sid}`, Date.now());
+        return scope;
+    }
+}
+
+export function parseCookies(header: string | undefined): Record<string, string> {
+    const cookies: Record<string, string> = {};
+    if (!header) return cookies;
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index < 0) return;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch {
+            cookies[name] = value;
+        }
+    });
+    return cookies;
+}
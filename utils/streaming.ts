@@ -0,0 +1,169 @@
+import * as cheerio from 'cheerio';
+
+/** Data for `data-suspense` regions, by region name, resolved while the page streams */
+export type DeferredData = Record<string, Promise<any> | any>;
+
+export interface StreamRegion {
+    name: string;
+    /** The region's markup with `data-bind` placeholders, filled in once its data arrives */
+    template: string;
+}
+
+// Same look as LoaderManager's default placeholder, styled before the client bundle loads
+const DEFAULT_PLACEHOLDER = '<div class="react-express-loader">Loading...</div>';
+const LOADER_STYLE = `<style id="react-express-loader-style">
+      @keyframes loader-pulse { 0% { background-position: 200% 0; } 100% { background-position: -200% 0; } }
+      .react-express-loader { background: linear-gradient(90deg, #f0f0f0 25%, #f8f8f8 50%, #f0f0f0 75%); background-size: 200% 100%; animation: loader-pulse 1.5s infinite; padding: 20px; text-align: center; color: #888; }
+    </style>`;
+
+// Swaps streamed fragments in as they arrive. The client bundle only runs once the whole
+// response is parsed, so until then finished regions wait in `pending` for LoaderManager.
+const RUNTIME = `<script>
+      (function () {
+        var rx = (window.ReactExpress = window.ReactExpress || {});
+        var find = function (selector, attr, name) {
+          var all = document.querySelectorAll(selector);
+          for (var i = 0; i < all.length; i++) if (all[i].getAttribute(attr) === name) return all[i];
+          return null;
+        };
+        rx.stream = {
+          pending: [],
+          resolve: function (name, data, error) {
+            var container = find("[data-suspense-stream]", "data-suspense-stream", name);
+            var chunk = find("template[data-suspense-chunk]", "data-suspense-chunk", name);
+            var template = find("template[data-suspense-template]", "data-suspense-template", name);
+            if (!container) return;
+            var entry = { name: name, container: container, data: data, error: error, template: template ? template.innerHTML : "" };
+            if (chunk) {
+              container.replaceChildren(chunk.content.cloneNode(true));
+              container.setAttribute("data-loaded", "true");
+              chunk.remove();
+            }
+            if (template) template.remove();
+            if (rx.LoaderManager && rx.LoaderManager.adoptStreamed) rx.LoaderManager.adoptStreamed(entry);
+            else rx.stream.pending.push(entry);
+          }
+        };
+      })();
+    </script>`;
+
+export class SuspenseStream {
+    /**
+     * Turn the `data-suspense="<name>"` regions that have deferred data into placeholders.
+     * Returns the shell to flush right away and the regions still to come.
+     */
+    static prepare(html: string, names: string[]): { shell: string; regions: StreamRegion[] } {
+        const $ = cheerio.load(html);
+        const regions: StreamRegion[] = [];
+
+        $('[data-suspense]').each((_, el) => {
+            const $container = $(el);
+            const name = $container.attr('data-suspense') || '';
+            if (!names.includes(name) || regions.some(region => region.name === name)) return;
+
+            const placeholder = this.takePlaceholder($, $container);
+            const template = $container.html() || '';
+            regions.push({ name, template });
+            // data-processed keeps LoaderManager from fetching data-api itself
+            $container
+                .attr('data-suspense-stream', name)
+                .attr('data-processed', 'true')
+                .html(placeholder);
+        });
+
+        if (regions.length) {
+            // The unbound template travels with the page so HMR and retries can re-render it
+            regions.forEach(({ name, template }) => {
+                $('body').append(`<template data-suspense-template="${escapeAttribute(name)}">${template}</template>`);
+            });
+            $('head').append(`${LOADER_STYLE}\n${RUNTIME}`);
+        }
+        return { shell: $.html(), regions };
+    }
+
+    /** A region's template with its data bound, as LoaderManager.renderContent would */
+    static bind(template: string, data: any): string {
+        const $ = cheerio.load(template, null, false);
+        $('[data-bind]').each((_, el) => {
+            const $el = $(el);
+            const value = getNestedValue(data, $el.attr('data-bind') || '');
+            if (value === undefined) return;
+            const tag = ((el as any).tagName || '').toLowerCase();
+            if (tag === 'img') {
+                $el.attr('src', String(value));
+            } else if (tag === 'input') {
+                $el.attr('value', String(value));
+            } else if (tag === 'textarea') {
+                $el.text(String(value));
+            } else if (tag === 'select') {
+                $el.find('option').each((_, option) => {
+                    const $option = $(option);
+                    const optionValue = $option.attr('value') ?? $option.text();
+                    if (optionValue === String(value)) $option.attr('selected', '');
+                    else $option.removeAttr('selected');
+                });
+            } else {
+                $el.text(String(value));
+            }
+        });
+        return $.html();
+    }
+
+    /** Markup that carries a region's bound HTML to the client */
+    static fragment(name: string, html: string): string {
+        return `<template data-suspense-chunk="${escapeAttribute(name)}">${html}</template>`;
+    }
+
+    /** Resolve every region up front, for responses that cannot stream (partials, render callbacks) */
+    static async resolveAll(html: string, deferred: DeferredData, timeout: number): Promise<string> {
+        const names = Object.keys(deferred);
+        const results = await Promise.all(names.map(name => settle(deferred[name], timeout)));
+        const $ = cheerio.load(html);
+        $('[data-suspense]').each((_, el) => {
+            const $container = $(el);
+            const index = names.indexOf($container.attr('data-suspense') || '');
+            if (index === -1 || 'error' in results[index]) return;
+            this.takePlaceholder($, $container);
+            $container
+                .html(this.bind($container.html() || '', results[index].data))
+                .attr('data-processed', 'true')
+                .attr('data-loaded', 'true');
+        });
+        return $.html();
+    }
+
+    private static takePlaceholder($: cheerio.CheerioAPI, $container: cheerio.Cheerio<any>) {
+        const $inline = $container.find('[data-suspense-placeholder]').first();
+        if ($inline.length) {
+            const placeholder = $inline.html() || '';
+            $inline.remove();
+            return placeholder;
+        }
+        const attr = $container.attr('data-suspense-placeholder');
+        if (attr) {
+            return attr.startsWith('#') ? $(attr).html() || DEFAULT_PLACEHOLDER : attr;
+        }
+        return DEFAULT_PLACEHOLDER;
+    }
+}
+
+/** Wait for a deferred value, giving up after `timeout` ms */
+export function settle(value: any, timeout: number): Promise<{ data: any } | { error: string }> {
+    let timer: NodeJS.Timeout | undefined;
+    const timedOut = new Promise<{ error: string }>((resolve) => {
+        timer = setTimeout(() => resolve({ error: `Timed out after ${timeout}ms` }), timeout);
+    });
+    const result = Promise.resolve(value).then(
+        data => ({ data }),
+        err => ({ error: err instanceof Error ? err.message : String(err) })
+    );
+    return Promise.race([result, timedOut]).finally(() => clearTimeout(timer));
+}
+
+function getNestedValue(obj: any, path: string) {
+    return path.split('.').reduce((acc, part) => (acc && typeof acc === 'object' ? acc[part] : undefined), obj);
+}
+
+function escapeAttribute(value: string) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
@@ -0,0 +1,216 @@
+import type { IncomingMessage, ServerResponse } from 'http';
+import { randomUUID } from 'crypto';
+import express from 'express';
+import type { Express, Request, Response } from 'express';
+import type { Namespace } from 'socket.io';
+
+export type AckFn = (result: any) => void;
+export type EventHandler = (payload: any, ack?: AckFn) => void;
+
+/** One client connection, whatever carries it. Socket.IO sockets fit this shape as they are. */
+export interface Connection {
+    readonly id: string;
+    /** The HTTP request that opened the connection (headers, cookies) */
+    readonly request: IncomingMessage;
+    on(event: string, handler: EventHandler): unknown;
+    emit(event: string, payload: any): unknown;
+    join(channel: string): unknown;
+    leave(channel: string): unknown;
+}
+
+export interface Transport {
+    onConnection(handler: (connection: Connection) => void): void;
+    /** Send to every connection in `channel` (everyone when null), except the connection with id `except` */
+    broadcast(channel: string | null, event: string, payload: any, except?: string): void;
+    /** Number of connections in `channel` */
+    members(channel: string): number;
+}
+
+export type TransportName = 'socket.io' | 'sse' | 'auto';
+
+export class SocketIoTransport implements Transport {
+    constructor(private namespace: Namespace) {}
+
+    onConnection(handler: (connection: Connection) => void) {
+        this.namespace.on('connection', socket => handler(socket as unknown as Connection));
+    }
+
+    broadcast(channel: string | null, event: string, payload: any, except?: string) {
+        let target = channel ? this.namespace.to(channel) : this.namespace.except([]);
+        if (except) target = target.except(except);
+        target.emit(event, payload);
+    }
+
+    members(channel: string) {
+        return this.namespace.adapter.rooms.get(channel)?.size || 0;
+    }
+}
+
+// Comment lines keep proxies from closing idle streams
+const KEEPALIVE_INTERVAL = 25000;
+// Give up on an acknowledgement that never comes
+const ACK_TIMEOUT = 30000;
+
+class SseConnection implements Connection {
+    readonly id = randomUUID();
+    readonly channels: Set<string> = new Set();
+    private handlers: Map<string, Set<EventHandler>> = new Map();
+
+    constructor(
+        public readonly request: IncomingMessage,
+        private response: ServerResponse,
+        private transport: SseTransport
+    ) {}
+
+    on(event: string, handler: EventHandler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+        this.handlers.get(event)!.add(handler);
+        return this;
+    }
+
+    emit(event: string, payload: any) {
+        this.response.write(`data: ${JSON.stringify({ event, payload })}\n\n`);
+        return true;
+    }
+
+    join(channel: string) {
+        this.transport.join(this, channel);
+    }
+
+    leave(channel: string) {
+        this.transport.leave(this, channel);
+    }
+
+    /** Run the handlers for an event; false when there are none */
+    dispatch(event: string, payload?: any, ack?: AckFn) {
+        const handlers = this.handlers.get(event);
+        if (!handlers?.size) return false;
+        handlers.forEach((handler) => {
+            try {
+                handler(payload, ack);
+            } catch (err) {
+                console.error(`Error handling "${event}":`, err);
+            }
+        });
+        return true;
+    }
+}
+
+/**
+ * Server-Sent Events down, POST up. Each client holds one event stream;
+ * its messages are POSTed with the connection id the stream announced,
+ * and acknowledgements come back as the POST response.
+ */
+export class SseTransport implements Transport {
+    private connections: Map<string, SseConnection> = new Map();
+    private channels: Map<string, Set<SseConnection>> = new Map();
+    private handlers: Set<(connection: Connection) => void> = new Set();
+
+    /** Serve the event stream (GET) and incoming messages (POST) at `path` */
+    mount(app: Express, path: string) {
+        app.get(path, (req: Request, res: Response) => this.open(req, res));
+        app.post(path, express.json({ limit: '1mb' }), (req: Request, res: Response) => this.receive(req, res));
+    }
+
+    onConnection(handler: (connection: Connection) => void) {
+        this.handlers.add(handler);
+    }
+
+    broadcast(channel: string | null, event: string, payload: any, except?: string) {
+        const targets = channel ? this.channels.get(channel) : this.connections.values();
+        if (!targets) return;
+        for (const connection of targets) {
+            if (connection.id !== except) connection.emit(event, payload);
+        }
+    }
+
+    members(channel: string) {
+        return this.channels.get(channel)?.size || 0;
+    }
+
+    join(connection: SseConnection, channel: string) {
+        if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+        this.channels.get(channel)!.add(connection);
+        connection.channels.add(channel);
+    }
+
+    leave(connection: SseConnection, channel: string) {
+        const members = this.channels.get(channel);
+        members?.delete(connection);
+        if (members && !members.size) this.channels.delete(channel);
+        connection.channels.delete(channel);
+    }
+
+    private open(req: Request, res: Response) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Stop nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+
+        const connection = new SseConnection(req, res, this);
+        this.connections.set(connection.id, connection);
+        this.handlers.forEach(handler => handler(connection));
+        // Announce the id only once handlers are in place to receive messages
+        res.write(`event: ready\ndata: ${JSON.stringify({ id: connection.id })}\n\n`);
+
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+        req.on('close', () => {
+            clearInterval(keepalive);
+            this.connections.delete(connection.id);
+            Array.from(connection.channels).forEach(channel => this.leave(connection, channel));
+            connection.dispatch('disconnect');
+        });
+    }
+
+    private receive(req: Request, res: Response) {
+        const { id, event, payload, ack } = req.body || {};
+        const connection = typeof id === 'string' ? this.connections.get(id) : undefined;
+        if (!connection) {
+            res.status(404).json({ error: 'Unknown connection' });
+            return;
+        }
+        if (typeof event !== 'string' || event === 'disconnect') {
+            res.status(400).json({ error: 'Invalid event' });
+            return;
+        }
+        if (!ack) {
+            connection.dispatch(event, payload);
+            res.status(204).end();
+            return;
+        }
+
+        let done = false;
+        const reply = (result: any) => {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            if (result === undefined) {
+                res.status(204).end();
+            } else {
+                res.json(result);
+            }
+        };
+        const timer = setTimeout(() => reply(undefined), ACK_TIMEOUT);
+        if (!connection.dispatch(event, payload, reply)) reply(undefined);
+    }
+}
+
+/** Serve the same events over several transports at once */
+export class MultiTransport implements Transport {
+    constructor(private transports: Transport[]) {}
+
+    onConnection(handler: (connection: Connection) => void) {
+        this.transports.forEach(transport => transport.onConnection(handler));
+    }
+
+    broadcast(channel: string | null, event: string, payload: any, except?: string) {
+        this.transports.forEach(transport => transport.broadcast(channel, event, payload, except));
+    }
+
+    members(channel: string) {
+        return this.transports.reduce((total, transport) => total + transport.members(channel), 0);
+    }
+}
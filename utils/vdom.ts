@@ -0,0 +1,179 @@
+/** Type of vnodes that render only their children, the same symbol as `ReactExpress.Fragment` */
+export const Fragment: unique symbol = Symbol.for('react-express.fragment') as any;
+
+// Type of the client's `createPortal` vnodes, whose content only exists in the browser
+const Portal = Symbol.for('react-express.portal');
+
+/** A function component: props (with `children`) in, vnodes out */
+export type Component<P = Record<string, any>> = ((props: P & { children: VNodeChild[] }) => VNodeChild | VNodeChild[] | null | undefined | boolean) & {
+    _memo?: { type: Component<P>; compare: (prev: P, next: P) => boolean };
+};
+
+/** A virtual node, as built by `createElement` here and by `ReactExpress.createElement` in the browser */
+export interface VNode {
+    type: string | Component<any> | typeof Fragment;
+    key: string | number | null;
+    props: Record<string, any> & { children: VNodeChild[] };
+}
+
+/** Raw HTML, written out unescaped (the server side of `vdom.raw(html)`) */
+export interface RawNode {
+    __raw: string;
+}
+
+export type VNodeChild = VNode | RawNode | string | number;
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Their text children are not HTML-decoded by the parser, so they must not be escaped either,
+// except for the `</` that would end the element early (see escapeRawText)
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+// Keeps adjacent text nodes apart, so the browser parses them back as separate nodes
+const TEXT_SEPARATOR = '<!-- -->';
+
+/** Build a virtual node; same shape and child filtering as the client's `createElement` */
+export function createElement(type: VNode['type'], props: Record<string, any> | null = {}, ...children: any[]): VNode {
+    const { key, ...rest } = props || {};
+    return {
+        type,
+        key: key ?? null,
+        props: { ...rest, children: normalizeChildren(children) }
+    };
+}
+
+function normalizeChildren(children: any[]): VNodeChild[] {
+    return children
+        .flat()
+        .filter((c) => c !== null && c !== undefined && c !== false && c !== true);
+}
+
+/**
+ * Mark a component as memoized, like `ReactExpress.memo`. A page renders each component
+ * once, so this only matters once the client takes over.
+ */
+export function memo<P>(component: Component<P>, areEqual?: (prev: P, next: P) => boolean): Component<P> {
+    const Memo: Component<P> = (props) => component(props);
+    Memo._memo = { type: component, compare: areEqual || shallowEqual };
+    return Memo;
+}
+
+/**
+ * Render a virtual node to HTML. Event handlers are left out; the client attaches them
+ * when the VirtualDOM hydrates the markup on its first render into the container.
+ * An array renders as sibling nodes, as it does as a client render root.
+ */
+export function renderToString(vnode: VNodeChild | VNodeChild[] | null | undefined | boolean): string {
+    return renderChildren(resolve(normalizeChildren([vnode])));
+}
+
+// Render components and fragments away, as VirtualDOM does before diffing, so text
+// separators land between the same text nodes the client ends up with
+function resolve(children: VNodeChild[]): VNodeChild[] {
+    return children.flatMap((child): VNodeChild[] => {
+        if (typeof child !== 'object' || isRaw(child)) return [child];
+        if ((child.type as unknown) === Portal) return [];
+        if (child.type === Fragment) return resolve(child.props.children || []);
+        if (typeof child.type === 'function') {
+            const render = child.type._memo ? child.type._memo.type : child.type;
+            return resolve(normalizeChildren([render(child.props)]));
+        }
+        return [{ ...child, props: { ...child.props, children: resolve(child.props.children || []) } }];
+    });
+}
+
+function renderNode(vnode: VNodeChild): string {
+    if (typeof vnode === 'string' || typeof vnode === 'number') return escapeHtml(String(vnode));
+    if (isRaw(vnode)) return vnode.__raw;
+
+    const tag = String(vnode.type);
+    const props = vnode.props || { children: [] };
+    // A textarea's value is its content
+    const isTextarea = tag.toLowerCase() === 'textarea' && props.value != null;
+    const open = `<${tag}${renderAttributes(isTextarea ? { ...props, value: undefined } : props)}>`;
+    if (VOID_ELEMENTS.has(tag.toLowerCase())) return open;
+    if (props.dangerouslySetInnerHTML) return `${open}${props.dangerouslySetInnerHTML.__html ?? ''}</${tag}>`;
+    if (isTextarea) return `${open}${escapeHtml(String(props.value))}</${tag}>`;
+
+    const children = props.children || [];
+    const inner = RAW_TEXT_ELEMENTS.has(tag.toLowerCase())
+        ? children.map(child => (typeof child === 'object' ? renderNode(child) : escapeRawText(String(child)))).join('')
+        : renderChildren(children);
+    return `${open}${inner}</${tag}>`;
+}
+
+function renderChildren(children: VNodeChild[]): string {
+    let html = '';
+    let previousText = false;
+    for (const child of children) {
+        const isText = typeof child === 'string' || typeof child === 'number';
+        if (isText && previousText) html += TEXT_SEPARATOR;
+        html += renderNode(child);
+        previousText = isText;
+    }
+    return html;
+}
+
+// Mirrors VirtualDOM.createDOMElement's prop handling in client/vdom.js
+function renderAttributes(props: Record<string, any>): string {
+    let html = '';
+    for (const [name, value] of Object.entries(props)) {
+        if (name === 'children' || name === 'ref' || name === 'dangerouslySetInnerHTML') continue;
+        if (name.startsWith('on') || typeof value === 'function') continue;
+        if (value === null || value === undefined || value === false) continue;
+        const attr = attributeName(name);
+        if (value === true) {
+            html += ` ${attr}`;
+        } else if (attr === 'style' && typeof value === 'object') {
+            html += ` style="${escapeHtml(styleToString(value))}"`;
+        } else {
+            html += ` ${attr}="${escapeHtml(String(value))}"`;
+        }
+    }
+    return html;
+}
+
+// className -> class, htmlFor -> for; xlinkHref -> xlink:href, xmlLang -> xml:lang
+function attributeName(prop: string): string {
+    if (prop === 'className') return 'class';
+    if (prop === 'htmlFor') return 'for';
+    const prefixed = /^(xlink|xml)([A-Z])(.*)$/.exec(prop);
+    return prefixed ? `${prefixed[1]}:${prefixed[2].toLowerCase()}${prefixed[3]}` : prop;
+}
+
+function styleToString(style: Record<string, any>): string {
+    return Object.entries(style)
+        .map(([k, v]) => `${k.replace(/[A-Z]/g, (m) => '-' + m.toLowerCase())}:${v}`)
+        .join(';');
+}
+
+function shallowEqual(a: any, b: any): boolean {
+    if (Object.is(a, b)) return true;
+    if (!a || !b) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => (
+        key === 'children' && Array.isArray(a[key]) && Array.isArray(b[key])
+            ? a[key].length === b[key].length && a[key].every((child: any, i: number) => Object.is(child, b[key][i]))
+            : Object.is(a[key], b[key])
+    ));
+}
+
+function isRaw(vnode: any): vnode is RawNode {
+    return !!vnode && typeof vnode === 'object' && Object.prototype.hasOwnProperty.call(vnode, '__raw');
+}
+
+// `<\/` means the same inside JS strings, regexes and CSS, but cannot close the element
+function escapeRawText(value: string): string {
+    return value.replace(/<\//g, '<\\/');
+}
+
+function escapeHtml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -10,9 +10,13 @@ export default {
   entry: {
     "react-express": [
       "./client/state.js",
+      "./client/json-patch.js",
+      "./client/crdt.js",
+      "./client/transport.js",
       "./client/suspense.js",
       "./client/router.js",
       "./client/vdom.js",
+      "./client/html.js",
       "./client/hooks.js",
       "./client/forms.js",
       "./client/context.js",